@@ -0,0 +1,1214 @@
+/*
+  MIT License
+  Copyright (c) 2026 buchio
+  See LICENSE file for details.
+*/
+
+/**
+ * Modulo Krinkle Tiling - Analysis
+ * DOM-free checks on generated polygon lists ({ path, meta }).
+ * Independent of generator.js; usable in the browser (classic script) and in Node.js:
+ *
+ *   const { TilingValidator } = require('./analysis.js');
+ *   const report = new TilingValidator().validate(polygons, { checkGaps: true });
+ *   const coloring = new ColoringSolver({ maxColors: 4 }).solve(polygons);
+ *   const graph = new TileGraph(polygons); // graph.nodes, graph.edges, graph.neighbors(i)
+ */
+
+// ==========================================
+// Geometry Helpers
+// ==========================================
+
+/**
+ * Returns the vertices of a closed path without the duplicated closing point.
+ * @param {Array} path - [{ x, y }, ...]
+ * @param {number} eps - Distance below which the last point counts as the first
+ */
+function toRing(path, eps = 1e-6) {
+    if (path.length > 1) {
+        const first = path[0];
+        const last = path[path.length - 1];
+        if (Math.hypot(first.x - last.x, first.y - last.y) <= eps) {
+            return path.slice(0, path.length - 1);
+        }
+    }
+    return path;
+}
+
+/**
+ * Signed area of a ring (positive for counterclockwise in a y-up frame).
+ */
+function ringSignedArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+    }
+    return area / 2;
+}
+
+/**
+ * Area, perimeter and area centroid of a polygon path.
+ * @param {Array} path - [{ x, y }, ...] (a duplicated closing point is ignored)
+ * @returns {Object} - { area, perimeter, centroid: { x, y } }
+ */
+function measurePolygon(path) {
+    const ring = toRing(path);
+    let perimeter = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        perimeter += Math.hypot(ring[i].x - ring[j].x, ring[i].y - ring[j].y);
+    }
+    return {
+        area: Math.abs(ringSignedArea(ring)),
+        perimeter: perimeter,
+        centroid: ringCentroid(ring)
+    };
+}
+
+function ringBounds(ring) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    ring.forEach(p => {
+        if (p.x < minX) minX = p.x;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.y > maxY) maxY = p.y;
+    });
+    return { minX, minY, maxX, maxY };
+}
+
+function pointInRing(x, y, ring) {
+    // Raycasting algorithm (point in polygon)
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i].x, yi = ring[i].y;
+        const xj = ring[j].x, yj = ring[j].y;
+        const intersect = ((yi > y) !== (yj > y)) &&
+            (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+}
+
+function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq > 0 ? ((x - a.x) * dx + (y - a.y) * dy) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+function distanceToRing(x, y, ring) {
+    let min = Infinity;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        min = Math.min(min, distanceToSegment(x, y, ring[j], ring[i]));
+    }
+    return min;
+}
+
+/**
+ * Finds a point strictly inside a (possibly non-convex) ring.
+ * Uses a horizontal scanline through the middle of the bounding box and
+ * returns the midpoint of the widest inside interval.
+ */
+function interiorPoint(ring) {
+    const b = ringBounds(ring);
+    // Slightly off-center to avoid passing exactly through vertices
+    const y = b.minY + (b.maxY - b.minY) * 0.5031;
+    const xs = [];
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j], c = ring[i];
+        if ((a.y > y) !== (c.y > y)) {
+            xs.push(a.x + (y - a.y) * (c.x - a.x) / (c.y - a.y));
+        }
+    }
+    xs.sort((p, q) => p - q);
+
+    let best = null;
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+        if (!best || xs[i + 1] - xs[i] > best.width) {
+            best = { x: (xs[i] + xs[i + 1]) / 2, width: xs[i + 1] - xs[i] };
+        }
+    }
+    return best ? { x: best.x, y: y } : null;
+}
+
+/**
+ * Tests whether segments p1-p2 and q1-q2 cross at a single interior point.
+ * Touching at endpoints and collinear overlaps do not count.
+ */
+function segmentsCrossProperly(p1, p2, q1, q2, eps) {
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+    return ((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
+        ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps));
+}
+
+/**
+ * Position-based key of a point, rounded to 1e-3 world units.
+ */
+function pointKey(p) {
+    // "|| 0" folds -0 into 0 so that "-0.000" and "0.000" match
+    return (Math.round(p.x * 1000) / 1000 || 0).toFixed(3) + ',' +
+        (Math.round(p.y * 1000) / 1000 || 0).toFixed(3);
+}
+
+/**
+ * Position-based key of an undirected segment, rounded to 1e-3 world units.
+ */
+function edgeKey(a, b) {
+    const ka = pointKey(a);
+    const kb = pointKey(b);
+    return ka < kb ? ka + '|' + kb : kb + '|' + ka;
+}
+
+/**
+ * Keys of the edges of a ring; edge i runs from ring[i - 1] (cyclic) to ring[i].
+ * Exact vertex keys (poly.keys from the generator) are used when available,
+ * otherwise rounded coordinates.
+ * @param {Array} ring - Vertices without the closing point
+ * @param {Array|null} keys - Vertex keys aligned with the path, or null
+ */
+function ringEdgeKeys(ring, keys) {
+    const result = [];
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if (keys) {
+            result.push(keys[j] < keys[i] ? keys[j] + '|' + keys[i] : keys[i] + '|' + keys[j]);
+        } else {
+            result.push(edgeKey(ring[j], ring[i]));
+        }
+    }
+    return result;
+}
+
+/**
+ * Simple uniform grid mapping cells to item indices.
+ */
+class BucketGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    insert(index, bounds) {
+        const s = this.cellSize;
+        for (let cx = Math.floor(bounds.minX / s); cx <= Math.floor(bounds.maxX / s); cx++) {
+            for (let cy = Math.floor(bounds.minY / s); cy <= Math.floor(bounds.maxY / s); cy++) {
+                const key = cx + ',' + cy;
+                if (!this.cells.has(key)) this.cells.set(key, []);
+                this.cells.get(key).push(index);
+            }
+        }
+    }
+
+    queryPoint(x, y) {
+        const key = Math.floor(x / this.cellSize) + ',' + Math.floor(y / this.cellSize);
+        return this.cells.get(key) || [];
+    }
+}
+
+// ==========================================
+// Spatial Index
+// Uniform grid over polygon bounding boxes for hit-testing and viewport culling
+// ==========================================
+class SpatialIndex extends BucketGrid {
+    /**
+     * @param {Array} polygons - [{ path }, ...]
+     * @param {number} cellSize - Grid cell size in world units (default: mean polygon extent)
+     */
+    constructor(polygons, cellSize) {
+        const bounds = polygons.map(p => ringBounds(p.path || []));
+        const sized = bounds.filter(b => b.minX <= b.maxX);
+        const meanExtent = sized.reduce((sum, b) => sum + Math.max(b.maxX - b.minX, b.maxY - b.minY), 0) /
+            Math.max(1, sized.length);
+        super(cellSize || Math.max(1, meanExtent));
+
+        this.count = 0;
+        this.bounds = [];
+        this.extent = null; // Bounds of all polygons
+        this.addBounds(bounds);
+    }
+
+    /**
+     * Indexes more polygons after the existing ones (their indices continue from count).
+     * The cell size stays the one chosen for the first polygons.
+     * @param {Array} polygons - [{ path }, ...]
+     */
+    add(polygons) {
+        this.addBounds(polygons.map(p => ringBounds(p.path || [])));
+    }
+
+    addBounds(bounds) {
+        bounds.forEach(b => {
+            const i = this.count++;
+            this.bounds.push(b);
+            if (b.minX > b.maxX) return; // Empty path
+            this.insert(i, b);
+            if (!this.extent) {
+                this.extent = Object.assign({}, b);
+                return;
+            }
+            this.extent.minX = Math.min(this.extent.minX, b.minX);
+            this.extent.minY = Math.min(this.extent.minY, b.minY);
+            this.extent.maxX = Math.max(this.extent.maxX, b.maxX);
+            this.extent.maxY = Math.max(this.extent.maxY, b.maxY);
+        });
+    }
+
+    /**
+     * Indices of polygons whose bounding box contains the point, in ascending order.
+     */
+    queryPoint(x, y) {
+        return super.queryPoint(x, y).filter(i => {
+            const b = this.bounds[i];
+            return x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY;
+        });
+    }
+
+    /**
+     * Indices of polygons whose bounding box intersects a rectangle, in ascending order.
+     * @param {Object} rect - { minX, minY, maxX, maxY }
+     * @returns {Array|null} - Indices, or null if the rectangle covers every polygon
+     */
+    queryRect(rect) {
+        const extent = this.extent;
+        if (!extent) return [];
+        if (rect.minX <= extent.minX && rect.minY <= extent.minY && rect.maxX >= extent.maxX && rect.maxY >= extent.maxY) {
+            return null;
+        }
+
+        const s = this.cellSize;
+        const x0 = Math.floor(Math.max(rect.minX, extent.minX) / s);
+        const x1 = Math.floor(Math.min(rect.maxX, extent.maxX) / s);
+        const y0 = Math.floor(Math.max(rect.minY, extent.minY) / s);
+        const y1 = Math.floor(Math.min(rect.maxY, extent.maxY) / s);
+
+        const seen = new Uint8Array(this.count);
+        const found = [];
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(cx + ',' + cy);
+                if (!cell) continue;
+                cell.forEach(i => {
+                    if (seen[i]) return;
+                    seen[i] = 1;
+                    const b = this.bounds[i];
+                    if (b.maxX >= rect.minX && b.minX <= rect.maxX && b.maxY >= rect.minY && b.minY <= rect.maxY) {
+                        found.push(i);
+                    }
+                });
+            }
+        }
+        return found.sort((a, b) => a - b);
+    }
+}
+
+// ==========================================
+// Tiling Validator
+// Detects overlaps, gaps inside the covered disk, and non-closing tiles
+// ==========================================
+class TilingValidator {
+    /**
+     * @param {Object} options
+     * @param {number} options.tolerance - Geometric tolerance in world units (edge length is 100)
+     * @param {number} options.gapResolution - Number of gap samples across the disk diameter
+     * @param {number} options.maxListed - Maximum number of pairs/points listed in the report
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance || 1e-6;
+        this.gapResolution = options.gapResolution || 120;
+        this.maxListed = options.maxListed || 100;
+    }
+
+    /**
+     * Validates a polygon list.
+     * @param {Array} polygons - Generator output ({ path, meta })
+     * @param {Object} options - { checkGaps: sample the covered disk for holes (Tiling mode) }
+     * @returns {Object} - Structured report; `valid` is false if any check failed
+     */
+    validate(polygons, options = {}) {
+        const rings = polygons.map(p => toRing(p.path || [], this.tolerance * 100));
+        const bounds = rings.map(ringBounds);
+
+        const keys = polygons.map(p => p.keys || null);
+
+        const closure = this.checkClosure(polygons);
+        const overlaps = this.checkOverlaps(rings, bounds);
+        const gaps = options.checkGaps ? this.checkGaps(rings, bounds, keys) : null;
+
+        const valid = closure.failing.length === 0 &&
+            !closure.shortPeriod &&
+            overlaps.count === 0 &&
+            (!gaps || gaps.uncovered === 0);
+
+        const report = {
+            valid: valid,
+            polygonCount: polygons.length,
+            closure: closure,
+            overlaps: overlaps,
+            gaps: gaps
+        };
+        report.summary = TilingValidator.summarize(report);
+        return report;
+    }
+
+    /**
+     * Checks that every tile boundary returns to its start point.
+     * Tiles with exact vertex keys are compared exactly; `exact` is true if all were.
+     */
+    checkClosure(polygons) {
+        let maxError = 0;
+        const failing = [];
+        let shortPeriod = false;
+        let exact = true;
+
+        polygons.forEach((poly, i) => {
+            if (poly.meta && poly.meta.hasShortPeriod) shortPeriod = true;
+            const path = poly.path || [];
+            if (path.length < 2) return;
+            const first = path[0];
+            const last = path[path.length - 1];
+            const error = Math.hypot(first.x - last.x, first.y - last.y);
+            if (error > maxError) maxError = error;
+            if (poly.keys) {
+                if (poly.keys[0] !== poly.keys[poly.keys.length - 1]) failing.push(i);
+            } else {
+                exact = false;
+                // Paths are generated with an explicit closing point, so anything
+                // beyond floating-point noise means the boundary does not close.
+                if (error > this.tolerance * 100) failing.push(i);
+            }
+        });
+
+        return {
+            maxError: maxError,
+            failing: failing.slice(0, this.maxListed),
+            failingCount: failing.length,
+            shortPeriod: shortPeriod,
+            exact: exact
+        };
+    }
+
+    /**
+     * Detects pairs of tiles whose interiors intersect.
+     * Two tests are combined: proper crossings between edges of different tiles,
+     * and an interior point of one tile lying inside another (catches duplicates
+     * and tiles nested without crossing edges).
+     */
+    checkOverlaps(rings, bounds) {
+        const eps = this.tolerance * 100;
+        const pairs = new Set();
+        const addPair = (i, j) => {
+            pairs.add(i < j ? i + ',' + j : j + ',' + i);
+        };
+
+        // 1. Edge crossings (edges bucketed on a grid of roughly one edge length)
+        const edgeGrid = new BucketGrid(100);
+        const edges = [];
+        rings.forEach((ring, pi) => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[j], b = ring[i];
+                const idx = edges.length;
+                edges.push({ poly: pi, a: a, b: b });
+                edgeGrid.insert(idx, {
+                    minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y),
+                    maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y)
+                });
+            }
+        });
+        // Cross products scale with edge length squared
+        const crossEps = eps * 100;
+        edgeGrid.cells.forEach(list => {
+            for (let x = 0; x < list.length; x++) {
+                for (let y = x + 1; y < list.length; y++) {
+                    const e1 = edges[list[x]];
+                    const e2 = edges[list[y]];
+                    if (e1.poly === e2.poly) continue;
+                    if (segmentsCrossProperly(e1.a, e1.b, e2.a, e2.b, crossEps)) {
+                        addPair(e1.poly, e2.poly);
+                    }
+                }
+            }
+        });
+
+        // 2. Interior point containment
+        const polyGrid = this.buildPolygonGrid(bounds);
+        rings.forEach((ring, i) => {
+            const p = interiorPoint(ring);
+            if (!p) return;
+            polyGrid.queryPoint(p.x, p.y).forEach(j => {
+                if (j === i) return;
+                if (pointInRing(p.x, p.y, rings[j]) && distanceToRing(p.x, p.y, rings[j]) > eps) {
+                    addPair(i, j);
+                }
+            });
+        });
+
+        const list = Array.from(pairs).map(key => key.split(',').map(Number));
+        list.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        return {
+            count: list.length,
+            pairs: list.slice(0, this.maxListed)
+        };
+    }
+
+    /**
+     * Samples the disk covered by the tiling for uncovered points.
+     * The disk is centered at the vertex centroid. Its radius is the shortest distance,
+     * over rays cast from the center, to the outermost boundary edge (edges not shared
+     * by two tiles), i.e. the inner radius of the jagged outline.
+     */
+    checkGaps(rings, bounds, keys = []) {
+        let sumX = 0, sumY = 0, count = 0;
+        rings.forEach(ring => ring.forEach(p => {
+            sumX += p.x;
+            sumY += p.y;
+            count++;
+        }));
+        if (count === 0) return { center: { x: 0, y: 0 }, radius: 0, samples: 0, uncovered: 0, area: 0, points: [] };
+        const center = { x: sumX / count, y: sumY / count };
+
+        // Boundary edges: segments used by exactly one tile
+        const edgeUse = new Map();
+        rings.forEach((ring, index) => {
+            const edgeKeys = ringEdgeKeys(ring, keys[index] || null);
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const key = edgeKeys[i];
+                const entry = edgeUse.get(key);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    edgeUse.set(key, { a: ring[j], b: ring[i], count: 1 });
+                }
+            }
+        });
+        const boundary = [];
+        edgeUse.forEach(e => {
+            if (e.count === 1) boundary.push(e);
+        });
+
+        // Outer reach along each ray (farthest boundary crossing)
+        const rays = 360;
+        let radius = Infinity;
+        for (let r = 0; r < rays; r++) {
+            const angle = (r + 0.5) * 2 * Math.PI / rays;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            let reach = 0;
+            boundary.forEach(e => {
+                // Solve center + t * d = a + u * (b - a)
+                const ex = e.b.x - e.a.x;
+                const ey = e.b.y - e.a.y;
+                const denom = dx * ey - dy * ex;
+                if (Math.abs(denom) < 1e-12) return;
+                const wx = e.a.x - center.x;
+                const wy = e.a.y - center.y;
+                const t = (wx * ey - wy * ex) / denom;
+                const u = (wx * dy - wy * dx) / denom;
+                if (t > 0 && u >= 0 && u <= 1 && t > reach) reach = t;
+            });
+            radius = Math.min(radius, reach);
+        }
+        // Stay clear of notches in the outline between rays
+        radius = Math.max(0, radius - 50);
+
+        const polyGrid = this.buildPolygonGrid(bounds);
+        const step = (2 * radius) / this.gapResolution;
+        const points = [];
+        let samples = 0;
+        let uncovered = 0;
+
+        if (step > 0) {
+            // Offset by an irrational fraction so samples do not land on edges
+            const jitter = step * 0.5 * (Math.SQRT2 - 1);
+            for (let y = center.y - radius + jitter; y < center.y + radius; y += step) {
+                for (let x = center.x - radius + jitter; x < center.x + radius; x += step) {
+                    if (Math.hypot(x - center.x, y - center.y) > radius) continue;
+                    samples++;
+                    const covered = polyGrid.queryPoint(x, y).some(i => pointInRing(x, y, rings[i]));
+                    if (!covered) {
+                        uncovered++;
+                        if (points.length < this.maxListed) points.push({ x: x, y: y });
+                    }
+                }
+            }
+        }
+
+        return {
+            center: center,
+            radius: radius,
+            samples: samples,
+            uncovered: uncovered,
+            area: uncovered * step * step, // Estimated uncovered area
+            points: points
+        };
+    }
+
+    buildPolygonGrid(bounds) {
+        // Cell size of about one tile keeps candidate lists short
+        let total = 0;
+        bounds.forEach(b => {
+            total += Math.max(b.maxX - b.minX, b.maxY - b.minY);
+        });
+        const cellSize = bounds.length > 0 ? Math.max(total / bounds.length, 1) : 100;
+        const grid = new BucketGrid(cellSize);
+        bounds.forEach((b, i) => grid.insert(i, b));
+        return grid;
+    }
+
+    /**
+     * Builds a one-line summary for status displays.
+     */
+    static summarize(report) {
+        if (report.valid) return 'Valid';
+        const issues = [];
+        if (report.closure.shortPeriod) issues.push('short period');
+        if (report.closure.failingCount > 0) issues.push(`${report.closure.failingCount} open tiles`);
+        if (report.overlaps.count > 0) issues.push(`${report.overlaps.count} overlaps`);
+        if (report.gaps && report.gaps.uncovered > 0) {
+            const percent = (report.gaps.uncovered / report.gaps.samples) * 100;
+            issues.push(`gaps ${percent.toFixed(1)}%`);
+        }
+        return 'Invalid: ' + issues.join(', ');
+    }
+}
+
+// ==========================================
+// Vertex Types
+// Classifies vertices by the cyclic sequence of tile corner angles meeting there
+// ==========================================
+class VertexAnalyzer {
+    /**
+     * @param {number} n - Symmetry parameter; edge directions are multiples of 2π/n,
+     *                     so corner angles are multiples of π/n (the unit used in reports)
+     */
+    constructor(n) {
+        this.n = n;
+    }
+
+    /**
+     * @param {Array} polygons - Generator output ({ path, keys?, meta })
+     * @returns {Object} - { n, vertexCount, interiorCount,
+     *   types: [{ key, angles, count, positions }] (complete vertices, most frequent first),
+     *   boundary: { count, positions } (angle sum below 2π, e.g. the outline),
+     *   excess: { count, positions } (angle sum above 2π, i.e. overlapping corners) }
+     */
+    analyze(polygons) {
+        const full = 2 * this.n; // 2π in units of π/n
+        const vertices = new Map();
+
+        polygons.forEach(poly => {
+            const ring = toRing(poly.path || []);
+            if (ring.length < 3) return;
+            const orientation = ringSignedArea(ring) >= 0 ? 1 : -1;
+
+            for (let i = 0; i < ring.length; i++) {
+                const prev = ring[(i + ring.length - 1) % ring.length];
+                const point = ring[i];
+                const next = ring[(i + 1) % ring.length];
+                const key = poly.keys ? poly.keys[i] : pointKey(point);
+
+                // Interior corner angle, measured counterclockwise from the edge that
+                // leaves the corner on one side to the edge on the other side
+                const toNext = Math.atan2(next.y - point.y, next.x - point.x);
+                const toPrev = Math.atan2(prev.y - point.y, prev.x - point.x);
+                const start = orientation > 0 ? toNext : toPrev;
+                let angle = (orientation > 0 ? toPrev - toNext : toNext - toPrev);
+                angle = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+                let vertex = vertices.get(key);
+                if (!vertex) {
+                    vertex = { point: point, corners: [] };
+                    vertices.set(key, vertex);
+                }
+                vertex.corners.push({
+                    start: (start + 2 * Math.PI) % (2 * Math.PI),
+                    units: Math.round(angle * this.n / Math.PI)
+                });
+            }
+        });
+
+        const types = new Map();
+        const boundary = { count: 0, positions: [] };
+        const excess = { count: 0, positions: [] };
+        vertices.forEach(vertex => {
+            const sum = vertex.corners.reduce((total, corner) => total + corner.units, 0);
+            if (sum < full) {
+                boundary.count++;
+                boundary.positions.push(vertex.point);
+                return;
+            }
+            if (sum > full) {
+                excess.count++;
+                excess.positions.push(vertex.point);
+                return;
+            }
+
+            // Corners in counterclockwise order around the vertex
+            vertex.corners.sort((a, b) => a.start - b.start);
+            const angles = VertexAnalyzer.canonicalCycle(vertex.corners.map(corner => corner.units));
+            const key = angles.join('.');
+            let type = types.get(key);
+            if (!type) {
+                type = { key: key, angles: angles, count: 0, positions: [] };
+                types.set(key, type);
+            }
+            type.count++;
+            type.positions.push(vertex.point);
+        });
+
+        const sorted = Array.from(types.values()).sort((a, b) => b.count - a.count || (a.key < b.key ? -1 : 1));
+        return {
+            n: this.n,
+            vertexCount: vertices.size,
+            interiorCount: sorted.reduce((total, type) => total + type.count, 0),
+            types: sorted,
+            boundary: boundary,
+            excess: excess
+        };
+    }
+
+    /**
+     * Smallest rotation of a cyclic sequence or of its reverse (mirror images count as the same type).
+     */
+    static canonicalCycle(sequence) {
+        let best = null;
+        [sequence, sequence.slice().reverse()].forEach(seq => {
+            for (let shift = 0; shift < seq.length; shift++) {
+                const candidate = seq.slice(shift).concat(seq.slice(0, shift));
+                if (!best || VertexAnalyzer.compareSequences(candidate, best) < 0) best = candidate;
+            }
+        });
+        return best || [];
+    }
+
+    static compareSequences(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return a.length - b.length;
+    }
+}
+
+// ==========================================
+// Tile Adjacency & Proper Coloring
+// ==========================================
+
+/**
+ * Groups tiles by the edges they use.
+ * @param {Array} polygons - [{ path, keys? }, ...]
+ * @returns {Map} - Edge key -> indices of the tiles using that edge
+ */
+function collectEdgeOwners(polygons) {
+    const edgeOwners = new Map();
+    polygons.forEach((poly, index) => {
+        ringEdgeKeys(toRing(poly.path), poly.keys || null).forEach(key => {
+            const owners = edgeOwners.get(key);
+            if (owners) {
+                if (owners[owners.length - 1] !== index) owners.push(index);
+            } else {
+                edgeOwners.set(key, [index]);
+            }
+        });
+    });
+    return edgeOwners;
+}
+
+/**
+ * Builds the edge-adjacency lists of a tiling: two tiles are adjacent when they share an edge.
+ * Tiles touching only at a vertex are not adjacent. Uses exact vertex keys when available.
+ * @param {Array} polygons - [{ path }, ...]
+ * @returns {Array} - adjacency[i] = sorted indices of the tiles sharing an edge with tile i
+ */
+function buildAdjacency(polygons) {
+    const neighbors = polygons.map(() => new Set());
+    collectEdgeOwners(polygons).forEach(owners => {
+        for (let a = 0; a < owners.length; a++) {
+            for (let b = a + 1; b < owners.length; b++) {
+                neighbors[owners[a]].add(owners[b]);
+                neighbors[owners[b]].add(owners[a]);
+            }
+        }
+    });
+    return neighbors.map(set => Array.from(set).sort((a, b) => a - b));
+}
+
+/**
+ * Area centroid of a ring (vertex average for degenerate rings).
+ */
+function ringCentroid(ring) {
+    let area = 0, cx = 0, cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const cross = ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+        area += cross;
+        cx += (ring[j].x + ring[i].x) * cross;
+        cy += (ring[j].y + ring[i].y) * cross;
+    }
+    if (Math.abs(area) < 1e-9) {
+        const sum = ring.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+        return { x: sum.x / ring.length, y: sum.y / ring.length };
+    }
+    return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+// ==========================================
+// Symmetry Group
+// Detects the rotations and reflections about candidate centers that map the tiling onto itself
+// ==========================================
+class SymmetryAnalyzer {
+    /**
+     * @param {number} n - Symmetry parameter; edges lie on multiples of π/n, so a symmetry
+     *                     rotation is a multiple of 2π/(2n) and a mirror axis a multiple of π/(2n)
+     * @param {Object} options - { tolerance: distance at which two tile vertices match (world units) }
+     */
+    constructor(n, options = {}) {
+        this.n = n;
+        this.tolerance = options.tolerance || 0.01;
+    }
+
+    /**
+     * Only tiles inside the largest disk about a center that stays clear of the outline are
+     * compared, as the outline of a finite patch (rows, disk) need not share its symmetry.
+     * @param {Array} polygons - Generator output ({ path, keys? })
+     * @param {Array} centers - Candidate centers [{ x, y }] (default: the origin)
+     * @returns {Object} - { type, order, mirrors, center: center of the largest group (first on ties),
+     *                       centers: [{ center, type: 'C<order>' or 'D<order>', order: rotation order,
+     *                                   mirrors: axis angles in [0, π), radius: radius of the compared disk }] }
+     */
+    analyze(polygons, centers = [{ x: 0, y: 0 }]) {
+        const tiles = [];
+        polygons.forEach(poly => {
+            const ring = toRing(poly.path || []);
+            if (ring.length >= 3) tiles.push({ ring: ring, centroid: ringCentroid(ring) });
+        });
+
+        const tol = this.tolerance;
+        const grid = new BucketGrid(Math.max(1, 1000 * tol));
+        tiles.forEach((tile, index) => {
+            const c = tile.centroid;
+            grid.insert(index, { minX: c.x - tol, maxX: c.x + tol, minY: c.y - tol, maxY: c.y + tol });
+        });
+
+        // Outline: vertices of edges used by a single tile
+        const outline = [];
+        const edgeOwners = collectEdgeOwners(polygons);
+        polygons.forEach(poly => {
+            const ring = toRing(poly.path || []);
+            ringEdgeKeys(ring, poly.keys || null).forEach((key, i) => {
+                if (edgeOwners.get(key).length === 1) {
+                    outline.push(ring[(i + ring.length - 1) % ring.length], ring[i]);
+                }
+            });
+        });
+
+        const results = centers.map(center => this.analyzeCenter(tiles, grid, outline, center));
+        const size = result => result.order * (result.mirrors.length > 0 ? 2 : 1);
+        const best = results.reduce((a, b) => (size(b) > size(a) ? b : a),
+            results[0] || { type: 'C1', order: 1, mirrors: [], center: null });
+        return { type: best.type, order: best.order, mirrors: best.mirrors, center: best.center, centers: results };
+    }
+
+    /**
+     * Symmetries about one center: the highest rotation order d (a divisor of 2n) and the
+     * mirror axes through the center that map every compared tile onto a tile of the tiling.
+     * @returns {Object} - { center, type, order, mirrors, radius }
+     */
+    analyzeCenter(tiles, grid, outline, center) {
+        const radius = outline.reduce((min, p) => Math.min(min, Math.hypot(p.x - center.x, p.y - center.y)), Infinity);
+        let compared = tiles.filter(tile => tile.ring.every(p =>
+            Math.hypot(p.x - center.x, p.y - center.y) <= radius + this.tolerance));
+        // Patch too small for an inner disk: compare the whole patch
+        if (compared.length === 0) compared = tiles;
+
+        const divisors = [];
+        for (let d = 2 * this.n; d > 1; d--) {
+            if ((2 * this.n) % d === 0) divisors.push(d);
+        }
+        const order = divisors.find(d => {
+            const angle = 2 * Math.PI / d;
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            return this.isInvariant(compared, tiles, grid, p => {
+                const dx = p.x - center.x, dy = p.y - center.y;
+                return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+            });
+        }) || 1;
+
+        const mirrors = [];
+        for (let j = 0; j < 2 * this.n; j++) {
+            const angle = j * Math.PI / (2 * this.n);
+            const cos = Math.cos(2 * angle), sin = Math.sin(2 * angle);
+            const mirrored = this.isInvariant(compared, tiles, grid, p => {
+                const dx = p.x - center.x, dy = p.y - center.y;
+                return { x: center.x + dx * cos + dy * sin, y: center.y + dx * sin - dy * cos };
+            });
+            if (mirrored) mirrors.push(angle);
+        }
+
+        return {
+            center: center,
+            type: (mirrors.length > 0 ? 'D' : 'C') + order,
+            order: order,
+            mirrors: mirrors,
+            radius: radius
+        };
+    }
+
+    /**
+     * Whether the transform maps each compared tile onto a tile: the image of its centroid
+     * locates the candidate, whose vertices must match the images of the tile's vertices
+     * (a centroid alone does not tell a tile from its mirror image).
+     * @param {Function} transform - (point) => transformed point
+     */
+    isInvariant(compared, tiles, grid, transform) {
+        const tol = this.tolerance;
+        const near = (a, b) => Math.abs(a.x - b.x) <= tol && Math.abs(a.y - b.y) <= tol;
+        return compared.every(tile => {
+            const c = transform(tile.centroid);
+            const match = grid.queryPoint(c.x, c.y).find(index => near(tiles[index].centroid, c));
+            if (typeof match === 'undefined') return false;
+            const target = tiles[match].ring;
+            return target.length === tile.ring.length &&
+                tile.ring.every(p => {
+                    const q = transform(p);
+                    return target.some(v => near(v, q));
+                });
+        });
+    }
+}
+
+// ==========================================
+// Tile Graph
+// Nodes are tiles, edges join tiles sharing boundary segments (the dual graph)
+// ==========================================
+class TileGraph {
+    /**
+     * @param {Array} polygons - Generator output ({ path, keys?, meta })
+     */
+    constructor(polygons) {
+        this.nodes = polygons.map((poly, index) => {
+            const meta = poly.meta || {};
+            return {
+                index: index,
+                wedgeIndex: meta.wedgeIndex,
+                r: meta.r,
+                c: meta.c,
+                tileIndex: meta.tileIndex,
+                isCopy: !!meta.isCopy,
+                centroid: ringCentroid(toRing(poly.path || []))
+            };
+        });
+
+        // Count shared segments per tile pair
+        const count = polygons.length;
+        const shared = new Map();
+        collectEdgeOwners(polygons).forEach(owners => {
+            for (let a = 0; a < owners.length; a++) {
+                for (let b = a + 1; b < owners.length; b++) {
+                    const source = Math.min(owners[a], owners[b]);
+                    const target = Math.max(owners[a], owners[b]);
+                    const pair = source * count + target;
+                    shared.set(pair, (shared.get(pair) || 0) + 1);
+                }
+            }
+        });
+
+        this.edges = [];
+        this.adjacency = this.nodes.map(() => []);
+        shared.forEach((segments, pair) => {
+            const source = Math.floor(pair / count);
+            const target = pair % count;
+            this.edges.push({ source: source, target: target, shared: segments });
+            this.adjacency[source].push(target);
+            this.adjacency[target].push(source);
+        });
+        this.edges.sort((a, b) => a.source - b.source || a.target - b.target);
+        this.adjacency.forEach(list => list.sort((a, b) => a - b));
+    }
+
+    /**
+     * @returns {Array} - Indices of the tiles sharing an edge with tile `index`
+     */
+    neighbors(index) {
+        return this.adjacency[index] || [];
+    }
+
+    degree(index) {
+        return this.neighbors(index).length;
+    }
+
+    /**
+     * @returns {Object} - { degree: number of tiles with that degree }
+     */
+    degreeHistogram() {
+        const histogram = {};
+        this.adjacency.forEach(list => {
+            histogram[list.length] = (histogram[list.length] || 0) + 1;
+        });
+        return histogram;
+    }
+
+    /**
+     * @returns {Array} - component[i] = component id of tile i (ids start at 0)
+     */
+    components() {
+        const component = new Array(this.nodes.length).fill(-1);
+        let id = 0;
+        for (let start = 0; start < component.length; start++) {
+            if (component[start] !== -1) continue;
+            component[start] = id;
+            const stack = [start];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                this.adjacency[node].forEach(j => {
+                    if (component[j] === -1) {
+                        component[j] = id;
+                        stack.push(j);
+                    }
+                });
+            }
+            id++;
+        }
+        return component;
+    }
+
+    /**
+     * Plain data for JSON export: { nodes, edges }.
+     */
+    toJSON() {
+        const round = (v) => Number(v.toFixed(6));
+        return {
+            nodes: this.nodes.map(node => ({
+                ...node,
+                centroid: { x: round(node.centroid.x), y: round(node.centroid.y) }
+            })),
+            edges: this.edges
+        };
+    }
+}
+
+/**
+ * Graph coloring for tilings: edge-adjacent tiles get different colors.
+ * A DSatur pass gives an upper bound, then a budgeted backtracking search
+ * tries to remove colors one at a time.
+ */
+class ColoringSolver {
+    /**
+     * @param {Object} options - { maxColors: 4, maxSteps: 200000 (backtracking budget per color count) }
+     */
+    constructor(options = {}) {
+        this.maxColors = options.maxColors ?? 4;
+        this.maxSteps = options.maxSteps ?? 200000;
+    }
+
+    /**
+     * @param {Array} polygons - [{ path }, ...]
+     * @returns {Object} - See solveGraph()
+     */
+    solve(polygons) {
+        return this.solveGraph(buildAdjacency(polygons));
+    }
+
+    /**
+     * @param {Array} adjacency - adjacency[i] = neighbor indices of node i
+     * @returns {Object} - { colors, colorCount, proper, optimal, conflicts }
+     *   colors[i] is in [0, colorCount). proper is false when more than maxColors colors
+     *   would be needed; conflicts then counts adjacent pairs sharing a color.
+     *   optimal is true when colorCount is proven minimal.
+     */
+    solveGraph(adjacency) {
+        const count = adjacency.length;
+        if (count === 0) {
+            return { colors: [], colorCount: 0, proper: true, optimal: true, conflicts: 0 };
+        }
+        const hasEdges = adjacency.some(list => list.length > 0);
+        const lowerBound = hasEdges ? 2 : 1;
+
+        let colors = this.dsatur(adjacency);
+        let colorCount = colors.reduce((max, color) => Math.max(max, color), -1) + 1;
+        let optimal = colorCount <= lowerBound;
+
+        // Try to do better than the greedy result
+        const order = this.searchOrder(adjacency);
+        while (!optimal && colorCount > lowerBound) {
+            const result = this.backtrack(adjacency, order, colorCount - 1);
+            if (result.colors) {
+                colors = result.colors;
+                colorCount--;
+                optimal = colorCount <= lowerBound;
+            } else {
+                // Exhausted search proves minimality; a timeout leaves it open
+                optimal = !result.timedOut;
+                break;
+            }
+        }
+
+        if (colorCount <= this.maxColors) {
+            return { colors, colorCount, proper: true, optimal, conflicts: 0 };
+        }
+
+        // Not colorable within the limit: keep maxColors and minimize clashes greedily
+        const limited = this.dsatur(adjacency, this.maxColors);
+        return {
+            colors: limited,
+            colorCount: this.maxColors,
+            proper: false,
+            optimal: false,
+            conflicts: ColoringSolver.countConflicts(adjacency, limited)
+        };
+    }
+
+    /**
+     * DSatur greedy coloring: repeatedly colors the node with the most distinctly
+     * colored neighbors. With a limit, the least conflicting color is used when none is free.
+     * Candidates are kept in a binary heap ordered by (saturation, degree, lowest index);
+     * entries outdated by a saturation change are skipped when popped.
+     * @param {Array} adjacency
+     * @param {number} limit - Maximum number of colors (default: unlimited)
+     */
+    dsatur(adjacency, limit = Infinity) {
+        const count = adjacency.length;
+        const colors = new Array(count).fill(-1);
+        const saturation = adjacency.map(() => new Set());
+
+        const heap = [];
+        const before = (a, b) => {
+            if (a.saturation !== b.saturation) return a.saturation > b.saturation;
+            const degreeA = adjacency[a.node].length;
+            const degreeB = adjacency[b.node].length;
+            if (degreeA !== degreeB) return degreeA > degreeB;
+            return a.node < b.node;
+        };
+        const push = (entry) => {
+            let i = heap.length;
+            heap.push(entry);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!before(heap[i], heap[parent])) break;
+                [heap[i], heap[parent]] = [heap[parent], heap[i]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let next = i;
+                    if (left < heap.length && before(heap[left], heap[next])) next = left;
+                    if (right < heap.length && before(heap[right], heap[next])) next = right;
+                    if (next === i) break;
+                    [heap[i], heap[next]] = [heap[next], heap[i]];
+                    i = next;
+                }
+            }
+            return top;
+        };
+
+        for (let i = 0; i < count; i++) push({ node: i, saturation: 0 });
+
+        while (heap.length > 0) {
+            const { node: best, saturation: recorded } = pop();
+            if (colors[best] !== -1 || recorded !== saturation[best].size) continue;
+
+            let color = 0;
+            while (saturation[best].has(color)) color++;
+            if (color >= limit) {
+                // Least used color among the neighbors
+                const usage = new Array(limit).fill(0);
+                adjacency[best].forEach(j => {
+                    if (colors[j] !== -1) usage[colors[j]]++;
+                });
+                color = usage.indexOf(Math.min(...usage));
+            }
+
+            colors[best] = color;
+            adjacency[best].forEach(j => {
+                if (colors[j] !== -1 || saturation[j].has(color)) return;
+                saturation[j].add(color);
+                push({ node: j, saturation: saturation[j].size });
+            });
+        }
+        return colors;
+    }
+
+    /**
+     * Breadth-first order from the highest-degree node of each component,
+     * so that every node after the first has an already colored neighbor.
+     */
+    searchOrder(adjacency) {
+        const count = adjacency.length;
+        const visited = new Array(count).fill(false);
+        const byDegree = adjacency.map((list, i) => i).sort((a, b) => adjacency[b].length - adjacency[a].length);
+        const order = [];
+        byDegree.forEach(start => {
+            if (visited[start]) return;
+            visited[start] = true;
+            const queue = [start];
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                order.push(node);
+                adjacency[node].forEach(j => {
+                    if (!visited[j]) {
+                        visited[j] = true;
+                        queue.push(j);
+                    }
+                });
+            }
+        });
+        return order;
+    }
+
+    /**
+     * Exact search for a coloring with the given number of colors (iterative backtracking).
+     * @returns {Object} - { colors: Array|null, timedOut: boolean }
+     */
+    backtrack(adjacency, order, colorCount) {
+        const colors = new Array(adjacency.length).fill(-1);
+        let steps = 0;
+        let pos = 0;
+        while (pos < order.length) {
+            if (++steps > this.maxSteps) return { colors: null, timedOut: true };
+            const node = order[pos];
+            // Fix the first node's color: permuting colors gives no new solutions
+            const last = (pos === 0) ? 0 : colorCount - 1;
+            let color = colors[node] + 1;
+            while (color <= last && adjacency[node].some(j => colors[j] === color)) color++;
+
+            if (color <= last) {
+                colors[node] = color;
+                pos++;
+            } else {
+                colors[node] = -1;
+                pos--;
+                if (pos < 0) return { colors: null, timedOut: false };
+            }
+        }
+        return { colors, timedOut: false };
+    }
+
+    /**
+     * Number of adjacent pairs sharing a color.
+     */
+    static countConflicts(adjacency, colors) {
+        let conflicts = 0;
+        adjacency.forEach((list, i) => {
+            list.forEach(j => {
+                if (j > i && colors[i] === colors[j]) conflicts++;
+            });
+        });
+        return conflicts;
+    }
+}
+
+// ==========================================
+// Exports
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TilingValidator, TileGraph, VertexAnalyzer, ColoringSolver, SpatialIndex, SymmetryAnalyzer, buildAdjacency, measurePolygon };
+}
@@ -5,41 +5,115 @@
 */
 
 /**
- * Modulo Krinkle Tiling - Single File Application
- * Integrated for compatibility with file:// protocol (avoiding CORS/Module issues)
+ * Modulo Krinkle Tiling - Application (Renderer + UI)
+ * Loaded as a classic script after generator.js for compatibility with file:// protocol
+ * (avoiding CORS/Module issues). TILING_CONFIG and KrinkleGenerator are globals from generator.js.
  */
 // ==========================================
-// Configuration
+// Helpers
 // ==========================================
-const TILING_CONFIG = {
-    colorCount: 3, // Global number of colors
-    wedges: [{
-        params: {
-            c: 3,
-            m: 3,
-            k: 7,
-            n: 14
-        },
-        0: { reverse: false, startColor: 0 },
-        1: { reverse: true, startColor: 1 },
-        2: { reverse: false, startColor: 2 },
-        3: { reverse: true, startColor: 1 },
-        4: { reverse: false, startColor: 0 },
-        5: { reverse: true, startColor: 2 },
-        6: { reverse: false, startColor: 0 },
-        7: { reverse: true, startColor: 2 },
-        8: { reverse: false, startColor: 1 },
-        9: { reverse: true, startColor: 0 },
-        10: { reverse: false, startColor: 1 },
-        11: { reverse: true, startColor: 2 },
-        12: { reverse: false, startColor: 0 },
-        13: { reverse: true, startColor: 2 },
-        // Per-wedge configuration (index: { reverse: boolean, startColor: number })
-        // Defaults: reverse = false, startColor = wedgeIndex % colorCount
-        // Example:
-        // 1: { reverse: true, startColor: 0 }
-    }]
-};
+
+/**
+ * Calculates the bounding box of a collection of polygons.
+ * @param {Array|Object} polygons - Array of polygons or single polygon
+ * @returns {Object|null} - { minX, minY, maxX, maxY } or null if there are no points
+ */
+function computeBounds(polygons) {
+    if (!polygons) return null;
+    const polyList = Array.isArray(polygons) ? polygons : [polygons];
+
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    let hasPoints = false;
+
+    polyList.forEach(poly => {
+        if (!poly.path || poly.path.length === 0) return;
+        poly.path.forEach(p => {
+            if (p.x < minX) minX = p.x;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.y > maxY) maxY = p.y;
+            hasPoints = true;
+        });
+    });
+
+    return hasPoints ? { minX, minY, maxX, maxY } : null;
+}
+
+/**
+ * Converts a CSS color (hex, rgb[a], hsl[a]) to an SVG paint and opacity.
+ * SVG 1.1 viewers (e.g. Inkscape, LaTeX toolchains) do not understand alpha in color strings.
+ * @param {string} color
+ * @returns {Object} - { paint, opacity }
+ */
+function toSvgPaint(color) {
+    if (!color) return { paint: 'none', opacity: 1 };
+
+    const match = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!match) return { paint: color, opacity: 1 };
+
+    const parts = match[2].split(',').map(v => parseFloat(v));
+    const opacity = parts.length > 3 ? parts[3] : 1;
+    let [r, g, b] = parts;
+
+    if (match[1].startsWith('hsl')) {
+        // HSL -> RGB
+        const h = parts[0] / 360;
+        const s = parts[1] / 100;
+        const l = parts[2] / 100;
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const hueToRgb = (t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        r = hueToRgb(h + 1 / 3) * 255;
+        g = hueToRgb(h) * 255;
+        b = hueToRgb(h - 1 / 3) * 255;
+    }
+
+    return { paint: `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`, opacity: opacity };
+}
+
+/**
+ * Range of a number/range input from its min and max attributes.
+ * @param {HTMLInputElement|null} input
+ * @param {number} min - Used when the input or its min attribute is missing
+ * @param {number} max - Used when the input or its max attribute is missing
+ * @returns {Array} - [min, max]
+ */
+function inputLimits(input, min = -Infinity, max = Infinity) {
+    const lower = input ? parseInt(input.getAttribute('min'), 10) : NaN;
+    const upper = input ? parseInt(input.getAttribute('max'), 10) : NaN;
+    return [Number.isNaN(lower) ? min : lower, Number.isNaN(upper) ? max : upper];
+}
+
+/**
+ * Reads an integer from a number/range input, clamped to its min and max attributes.
+ * @param {HTMLInputElement} input
+ * @param {number} fallback - Used when the value is not a number
+ * @returns {number}
+ */
+function readIntInput(input, fallback) {
+    const value = parseInt(input.value, 10);
+    const [min, max] = inputLimits(input);
+    return Math.max(min, Math.min(max, Number.isNaN(value) ? fallback : value));
+}
+
+/**
+ * Escapes text for use in XML content and attributes.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 // ==========================================
 // Renderer Class
@@ -55,11 +129,28 @@ class Renderer {
         this.offsetX = 0;
         this.offsetY = 0;
 
+        // Zoom limits (multiplicative steps keep zooming uniform across this range)
+        this.minScale = 0.002;
+        this.maxScale = 200;
+
         // Drag operation state
         this.isDragging = false;
         this.lastX = 0;
         this.lastY = 0;
 
+        // Inertial pan: velocity (px/ms) measured while dragging, continued after release
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.lastMoveTime = 0;
+        this.inertiaFrame = null;
+
+        // Called after the user pans or zooms (e.g. to sync URL state)
+        this.onViewChange = null;
+
+        // Called with (polygon, clientX, clientY) when a polygon is clicked or tapped
+        this.onPolygonClick = null;
+        this.clickStart = null; // Pointer position at press, cleared once it moves too far
+
         this.initEvents();
         this.resize();
         this.centerView();
@@ -67,6 +158,8 @@ class Renderer {
         // Hover state
         this.hoveredWedgeIndex = null; // Index of currently hovered Wedge
         this.hoveredDepth = null;      // Depth (Row Index) of currently hovered tile
+        this.hoveredColumn = null;     // Column Index of currently hovered tile (Wedge mode)
+        this.hoveredEdge = null;       // Edge index of the prototile under the cursor (Prototile mode)
         this.mouseX = 0;
         this.mouseY = 0;
 
@@ -75,6 +168,16 @@ class Renderer {
         this.showWedges = true;  // Show Wedge numbers
         this.showTiles = true;   // Show tile numbers
         this.showFill = false;    // Show fill color
+        this.showDualGraph = false; // Show tile adjacency (dual graph) overlay
+        this.dualGraph = null;      // TileGraph of the current polygons, built on demand
+        this.markers = null;        // Highlighted points: { points: [{ x, y }], color }
+        this.showSymmetry = false;  // Show mirror axes and rotation centers
+        this.symmetry = null;       // SymmetryAnalyzer result of the current polygons
+        this.selectedPolygon = null; // Polygon outlined by the tile inspector
+        this.construction = null;   // Playback overlay: { frontPoints, front, jStar, highlightFrom, highlightTo }
+        this.spatialIndex = null;   // SpatialIndex of the current polygons (hit-testing and culling)
+        this.allPolygons = null;    // Data of setDisplayData; polygons is a prefix of it while setVisibleCount limits it
+        this.glLayer = null;        // WebGLTileLayer drawing tiles on the GPU, or null for Canvas 2D
     }
 
     initEvents() {
@@ -118,15 +221,21 @@ class Renderer {
 
         // Mouse events for pan operation
         this.canvas.addEventListener('mousedown', (e) => {
+            this.stopInertia();
             this.isDragging = true;
             this.lastX = e.clientX;
             this.lastY = e.clientY;
+            this.velocityX = 0;
+            this.velocityY = 0;
+            this.lastMoveTime = performance.now();
+            this.clickStart = { x: e.clientX, y: e.clientY };
             this.canvas.style.cursor = 'grabbing';
 
             // Auto-close removed for split-screen layout
         });
 
         window.addEventListener('mousemove', (e) => {
+            this.trackClick(e.clientX, e.clientY);
             if (this.isDragging) {
                 const dx = e.clientX - this.lastX;
                 const dy = e.clientY - this.lastY;
@@ -134,16 +243,20 @@ class Renderer {
                 this.offsetY += dy;
                 this.lastX = e.clientX;
                 this.lastY = e.clientY;
+                this.trackVelocity(dx, dy);
                 this.draw(); // Redraw during drag
+                this.notifyViewChange();
             }
 
             // Update hover detection
             this.handleMouseMove(e.clientX, e.clientY);
         });
 
-        window.addEventListener('mouseup', () => {
+        window.addEventListener('mouseup', (e) => {
+            if (this.isDragging) this.startInertia();
             this.isDragging = false;
             this.canvas.style.cursor = 'grab';
+            this.finishClick(e.clientX, e.clientY);
         });
 
         // Touch handling for mobile/tablet highlighting & drag
@@ -155,11 +268,17 @@ class Renderer {
 
             // Prevent browser scroll
             if (e.type === 'touchmove') e.preventDefault();
+            if (e.type === 'touchstart') this.stopInertia();
 
             if (touchCount === 1) {
-                // 1 Finger: Highlight only
+                // 1 Finger: Highlight only (a tap without movement counts as a click)
                 const t = e.touches[0];
                 this.handleMouseMove(t.clientX, t.clientY);
+                if (e.type === 'touchstart') {
+                    this.clickStart = { x: t.clientX, y: t.clientY };
+                } else {
+                    this.trackClick(t.clientX, t.clientY);
+                }
 
                 // Reset drag state so it doesn't get stuck
                 this.isDragging = false;
@@ -167,6 +286,7 @@ class Renderer {
 
             } else if (touchCount === 2) {
                 // 2 Fingers: Pan (Scroll) + Zoom (Pinch)
+                this.clickStart = null;
                 const t1 = e.touches[0];
                 const t2 = e.touches[1];
 
@@ -182,6 +302,9 @@ class Renderer {
                     this.lastX = cx;
                     this.lastY = cy;
                     this.lastPinchDist = dist;
+                    this.velocityX = 0;
+                    this.velocityY = 0;
+                    this.lastMoveTime = performance.now();
                 }
 
                 if (e.type === 'touchmove') {
@@ -192,22 +315,16 @@ class Renderer {
                     this.offsetY += dy;
                     this.lastX = cx;
                     this.lastY = cy;
+                    this.trackVelocity(dx, dy);
 
-                    // Zoom Logic
+                    // Zoom Logic: keep the point between the fingers fixed
                     if (this.lastPinchDist > 0) {
-                        const zoomFactor = dist / this.lastPinchDist;
-                        const newScale = Math.min(Math.max(0.1, this.scale * zoomFactor), 20);
-
-                        // Optional: Zoom towards center (cx, cy)
-                        // Current simple zoom implementation centers on screen center, 
-                        // but user asked for "pinch zoom" which implies centering on fingers.
-                        // For now, keeping global scale change to match wheel behavior, 
-                        // but updating scale directly.
-                        this.scale = newScale;
+                        this.zoomAt(dist / this.lastPinchDist, cx, cy, false);
                     }
                     this.lastPinchDist = dist;
 
                     this.draw();
+                    this.notifyViewChange();
                 }
 
                 this.lastTouchCount = 2;
@@ -223,6 +340,11 @@ class Renderer {
         this.canvas.addEventListener('touchend', (e) => {
             // Reset on all fingers lifted
             if (e.touches.length === 0) {
+                if (this.lastTouchCount === 1 && e.changedTouches.length > 0) {
+                    const t = e.changedTouches[0];
+                    this.finishClick(t.clientX, t.clientY);
+                }
+                if (this.lastTouchCount === 2) this.startInertia();
                 this.isDragging = false;
                 this.lastTouchCount = 0;
             } else {
@@ -231,19 +353,194 @@ class Renderer {
             }
         });
 
-        // Zoom operation (wheel event)
+        // Zoom operation (wheel event), anchored at the cursor
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const zoomSensitivity = 0.001;
-            const delta = -e.deltaY * zoomSensitivity;
-            // Limit zoom scale
-            const newScale = Math.min(Math.max(0.1, this.scale + delta), 20);
-
-            // Simple zoom (center-based)
-            // * Ideally mouse-position based, but keeping it simple for now
-            this.scale = newScale;
-            this.draw();
+            this.stopInertia();
+
+            // Normalize line/page deltas to pixels
+            let deltaY = e.deltaY;
+            if (e.deltaMode === 1) deltaY *= 16;
+            else if (e.deltaMode === 2) deltaY *= this.canvas.height;
+
+            // Trackpad pinch arrives as ctrl + wheel with small deltas
+            const zoomSensitivity = e.ctrlKey ? 0.01 : 0.0015;
+            this.zoomAt(Math.exp(-deltaY * zoomSensitivity), e.clientX, e.clientY);
         }, { passive: false });
+
+        // Keyboard: arrows pan, +/- zoom about the center, 0 re-fits the view
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || /^(INPUT|SELECT|TEXTAREA|BUTTON)$/.test(target.tagName || ''))) return;
+
+            const step = (e.shiftKey ? 0.5 : 0.1) * Math.min(this.canvas.width, this.canvas.height);
+            const pans = { ArrowLeft: [step, 0], ArrowRight: [-step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+            if (pans[e.key]) {
+                this.panBy(pans[e.key][0], pans[e.key][1]);
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoomAt(1.25);
+            } else if (e.key === '-' || e.key === '_') {
+                this.zoomAt(1 / 1.25);
+            } else if (e.key === '0') {
+                if (!this.polygons) return;
+                this.stopInertia();
+                this.autoCenter(this.polygons);
+                this.notifyViewChange();
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    /**
+     * Zooms by a factor, keeping the world point under a client position fixed.
+     * @param {number} factor - Scale multiplier (> 1 zooms in)
+     * @param {number} clientX - Anchor in client coordinates (default: canvas center)
+     * @param {number} clientY
+     * @param {boolean} redraw - Draw and notify (false when the caller does it)
+     */
+    zoomAt(factor, clientX, clientY, redraw = true) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX === undefined) ? this.canvas.width / 2 : clientX - rect.left;
+        const y = (clientY === undefined) ? this.canvas.height / 2 : clientY - rect.top;
+
+        const newScale = Math.min(Math.max(this.minScale, this.scale * factor), this.maxScale);
+        const ratio = newScale / this.scale;
+        // screen = world * scale + offset, with world fixed at (x, y)
+        this.offsetX = x - (x - this.offsetX) * ratio;
+        this.offsetY = y - (y - this.offsetY) * ratio;
+        this.scale = newScale;
+
+        if (redraw) {
+            this.draw();
+            this.notifyViewChange();
+        }
+    }
+
+    panBy(dx, dy) {
+        this.stopInertia();
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.draw();
+        this.notifyViewChange();
+    }
+
+    /**
+     * Updates the drag velocity (exponentially smoothed over recent moves).
+     */
+    trackVelocity(dx, dy) {
+        const now = performance.now();
+        const dt = Math.max(1, now - this.lastMoveTime);
+        this.lastMoveTime = now;
+        const weight = Math.min(1, dt / 50);
+        this.velocityX += (dx / dt - this.velocityX) * weight;
+        this.velocityY += (dy / dt - this.velocityY) * weight;
+    }
+
+    /**
+     * Continues a released drag with decaying velocity.
+     * No inertia if the pointer rested before release.
+     */
+    startInertia() {
+        this.stopInertia();
+        if (performance.now() - this.lastMoveTime > 80) return;
+        if (Math.hypot(this.velocityX, this.velocityY) < 0.1) return;
+
+        const friction = 0.995; // Velocity multiplier per millisecond
+        let lastTime = performance.now();
+        const step = () => {
+            const now = performance.now();
+            const dt = Math.min(50, now - lastTime);
+            lastTime = now;
+            this.offsetX += this.velocityX * dt;
+            this.offsetY += this.velocityY * dt;
+            const decay = Math.pow(friction, dt);
+            this.velocityX *= decay;
+            this.velocityY *= decay;
+            this.draw();
+
+            if (Math.hypot(this.velocityX, this.velocityY) < 0.02) {
+                this.inertiaFrame = null;
+                this.notifyViewChange();
+                return;
+            }
+            this.inertiaFrame = requestAnimationFrame(step);
+        };
+        this.inertiaFrame = requestAnimationFrame(step);
+    }
+
+    stopInertia() {
+        if (this.inertiaFrame === null) return;
+        cancelAnimationFrame(this.inertiaFrame);
+        this.inertiaFrame = null;
+        this.notifyViewChange();
+    }
+
+    /**
+     * Cancels a pending click once the pointer moves further than a few pixels (drag).
+     */
+    trackClick(x, y) {
+        if (this.clickStart && Math.hypot(x - this.clickStart.x, y - this.clickStart.y) > 5) {
+            this.clickStart = null;
+        }
+    }
+
+    finishClick(x, y) {
+        if (!this.clickStart) return;
+        this.trackClick(x, y);
+        const isClick = this.clickStart !== null;
+        this.clickStart = null;
+        if (!isClick || !this.onPolygonClick) return;
+
+        const poly = this.findPolygonAt(x, y);
+        if (poly) this.onPolygonClick(poly, x, y);
+    }
+
+    notifyViewChange() {
+        if (this.onViewChange) this.onViewChange();
+    }
+
+    /**
+     * Returns the view as the world coordinate at the canvas center plus scale.
+     * Unlike offsetX/offsetY this does not depend on the canvas size, so it can be
+     * restored on a different screen.
+     * @returns {Object} - { x, y, scale }
+     */
+    getView() {
+        return {
+            x: (this.canvas.width / 2 - this.offsetX) / this.scale,
+            y: (this.canvas.height / 2 - this.offsetY) / this.scale,
+            scale: this.scale
+        };
+    }
+
+    /**
+     * Distance from a world point to the farthest corner of the canvas (world units).
+     * @param {Object} center - { x, y }
+     * @returns {number}
+     */
+    visibleRadius(center) {
+        let radius = 0;
+        [[0, 0], [this.canvas.width, 0], [0, this.canvas.height], [this.canvas.width, this.canvas.height]].forEach(([sx, sy]) => {
+            const x = (sx - this.offsetX) / this.scale;
+            const y = (sy - this.offsetY) / this.scale;
+            radius = Math.max(radius, Math.hypot(x - center.x, y - center.y));
+        });
+        return radius;
+    }
+
+    /**
+     * Restores a view returned by getView().
+     * @param {Object} view - { x, y, scale }
+     */
+    setView(view) {
+        this.stopInertia();
+        this.scale = view.scale;
+        this.offsetX = this.canvas.width / 2 - view.x * view.scale;
+        this.offsetY = this.canvas.height / 2 - view.y * view.scale;
+        this.draw();
     }
 
     resize() {
@@ -291,8 +588,18 @@ class Renderer {
     }
 
     setDisplayData(polygons, mode = 'prototile') {
-        this.polygons = polygons;
+        // Own copy: appendPolygons grows it, while callers keep using the array they passed
+        this.polygons = polygons ? polygons.slice() : polygons;
+        this.allPolygons = this.polygons;
         this.mode = mode;
+        this.spatialIndex = (polygons && polygons.length > 0) ? new SpatialIndex(this.polygons) : null;
+        if (this.glLayer) this.glLayer.setPolygons(this.polygons || []);
+        this.dualGraph = null;
+        this.markers = null;
+        this.symmetry = null;
+        this.selectedPolygon = null;
+        this.hoveredColumn = null;
+        this.hoveredEdge = null;
         if (mode === 'tiling') {
             this.calculateWedgeCenters();
             this.calculateTileCenters();
@@ -302,6 +609,49 @@ class Renderer {
         this.draw();
     }
 
+    /**
+     * Adds polygons to the displayed ones (Tiling explorer), keeping the selection and view.
+     * Only the new polygons are indexed, uploaded and labeled.
+     * @param {Array} polygons - Polygons to append
+     */
+    appendPolygons(polygons) {
+        if (!this.allPolygons || polygons.length === 0) return;
+        polygons.forEach(poly => this.allPolygons.push(poly));
+        this.polygons = this.allPolygons;
+        if (this.spatialIndex) {
+            this.spatialIndex.add(polygons);
+        } else {
+            this.spatialIndex = new SpatialIndex(this.polygons);
+        }
+        if (this.glLayer) this.glLayer.appendPolygons(polygons);
+        this.dualGraph = null;
+        if (this.mode === 'tiling') {
+            this.addWedgeCenters(polygons);
+            this.addTileCenters(polygons);
+        }
+        this.draw();
+    }
+
+    /**
+     * Shows only the first count polygons of the current data (construction playback). The spatial
+     * index and the WebGL buffers of the complete data are kept, so each step only redraws.
+     * @param {number|null} count - Number of polygons, or null to show all of them again
+     */
+    setVisibleCount(count) {
+        if (!this.allPolygons) return;
+        const total = this.allPolygons.length;
+        const shown = (count === null) ? total : Math.max(0, Math.min(count, total));
+        this.polygons = (shown === total) ? this.allPolygons : this.allPolygons.slice(0, shown);
+        this.dualGraph = null;
+        if (this.mode === 'tiling') {
+            this.calculateWedgeCenters();
+            this.calculateTileCenters();
+        } else if (this.mode === 'wedge') {
+            this.calculateTileCenters();
+        }
+        this.draw();
+    }
+
     setOptions(options) {
         if (typeof options.showEdges !== 'undefined') this.showEdges = options.showEdges;
         if (typeof options.showWedges !== 'undefined') this.showWedges = options.showWedges;
@@ -312,15 +662,72 @@ class Renderer {
         if (typeof options.showLines !== 'undefined') this.showLines = options.showLines;
         if (typeof options.highlightWedge !== 'undefined') this.highlightWedge = options.highlightWedge;
         if (typeof options.highlightLayer !== 'undefined') this.highlightLayer = options.highlightLayer;
+        if (typeof options.highlightColumn !== 'undefined') this.highlightColumn = options.highlightColumn;
+        if (typeof options.showDualGraph !== 'undefined') this.showDualGraph = options.showDualGraph;
+        if (typeof options.showSymmetry !== 'undefined') this.showSymmetry = options.showSymmetry;
+
+        this.draw();
+    }
+
+    /**
+     * Highlights points (e.g. all vertices of one type) with circle markers.
+     * @param {Array|null} points - [{ x, y }] in world coordinates, or null to clear
+     * @param {string} color - CSS color
+     */
+    setMarkers(points, color = '#ff7b72') {
+        this.markers = points ? { points: points, color: color } : null;
+        this.draw();
+    }
+
+    /**
+     * Sets the symmetry elements shown with showSymmetry: mirror axes and rotation centers.
+     * @param {Object|null} symmetry - SymmetryAnalyzer result ({ centers: [{ center, type, order, mirrors }] }) or null
+     */
+    setSymmetry(symmetry) {
+        this.symmetry = symmetry;
+        this.draw();
+    }
+
+    /**
+     * Sets the construction playback overlay: the current front (polyline with direction
+     * indices), the chosen j* segment and the range of newly placed polygons.
+     * @param {Object|null} construction - { frontPoints, front, jStar, highlightFrom, highlightTo } or null
+     */
+    setConstruction(construction) {
+        this.construction = construction;
+        this.draw();
+    }
 
+    /**
+     * Outlines one polygon (e.g. the tile shown in the inspector).
+     * @param {Object|null} poly - Polygon of the current data, or null to clear
+     */
+    setSelection(poly) {
+        this.selectedPolygon = poly;
         this.draw();
     }
 
+    /**
+     * Returns the TileGraph (analysis.js) of the displayed polygons, building it on first use.
+     * @returns {TileGraph|null}
+     */
+    getDualGraph() {
+        if (!this.polygons || this.polygons.length === 0) return null;
+        if (!this.dualGraph) this.dualGraph = new TileGraph(this.polygons);
+        return this.dualGraph;
+    }
+
     calculateTileCenters() {
         this.tileLabels = [];
         if (!this.polygons) return;
+        this.addTileCenters(this.polygons);
+    }
 
-        this.polygons.forEach(poly => {
+    /**
+     * Adds the Tile number labels of more polygons (Tiling explorer chunks).
+     */
+    addTileCenters(polygons) {
+        polygons.forEach(poly => {
             if (poly.meta && typeof poly.meta.tileIndex !== 'undefined') {
                 // Calculate Centroid
                 let sumX = 0, sumY = 0;
@@ -340,168 +747,455 @@ class Renderer {
 
     calculateWedgeCenters() {
         this.wedgeCenters = {};
+        this.wedgeSums = {}; // Per wedge: { x, y, count, bounds } of its vertices so far
         if (!this.polygons) return;
+        this.addWedgeCenters(this.polygons);
+    }
 
-        const sums = {};
-        const counts = {};
-        const bounds = {};
+    /**
+     * Updates the centers of the Wedges that more polygons belong to (Tiling explorer chunks).
+     */
+    addWedgeCenters(polygons) {
+        const sums = this.wedgeSums;
+        const touched = new Set();
 
-        this.polygons.forEach(poly => {
+        polygons.forEach(poly => {
             if (poly.meta && typeof poly.meta.wedgeIndex !== 'undefined') {
                 const idx = poly.meta.wedgeIndex;
                 if (!sums[idx]) {
-                    sums[idx] = { x: 0, y: 0 };
-                    counts[idx] = 0;
-                    bounds[idx] = {
-                        minX: Infinity, maxX: -Infinity,
-                        minY: Infinity, maxY: -Infinity
+                    sums[idx] = {
+                        x: 0, y: 0, count: 0,
+                        bounds: { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
                     };
                 }
+                const sum = sums[idx];
+                touched.add(idx);
 
                 // Calculate Centroid (using path vertices)
                 poly.path.forEach(p => {
-                    sums[idx].x += p.x;
-                    sums[idx].y += p.y;
-                    counts[idx]++;
-
-                    if (p.x < bounds[idx].minX) bounds[idx].minX = p.x;
-                    if (p.x > bounds[idx].maxX) bounds[idx].maxX = p.x;
-                    if (p.y < bounds[idx].minY) bounds[idx].minY = p.y;
-                    if (p.y > bounds[idx].maxY) bounds[idx].maxY = p.y;
+                    sum.x += p.x;
+                    sum.y += p.y;
+                    sum.count++;
+
+                    if (p.x < sum.bounds.minX) sum.bounds.minX = p.x;
+                    if (p.x > sum.bounds.maxX) sum.bounds.maxX = p.x;
+                    if (p.y < sum.bounds.minY) sum.bounds.minY = p.y;
+                    if (p.y > sum.bounds.maxY) sum.bounds.maxY = p.y;
                 });
             }
         });
 
-        for (const idx in sums) {
-            const width = bounds[idx].maxX - bounds[idx].minX;
-            const height = bounds[idx].maxY - bounds[idx].minY;
-
+        touched.forEach(idx => {
+            const sum = sums[idx];
             this.wedgeCenters[idx] = {
-                x: sums[idx].x / counts[idx],
-                y: sums[idx].y / counts[idx],
-                width: width,
-                height: height
+                x: sum.x / sum.count,
+                y: sum.y / sum.count,
+                width: sum.bounds.maxX - sum.bounds.minX,
+                height: sum.bounds.maxY - sum.bounds.minY
             };
-        }
+        });
     }
 
     /**
-     * Centers the view on a collection of polygons.
-     * @param {Array|Object} polygons - Array of polygons or single polygon
+     * Lays out Wedge number labels (Tiling mode).
+     * Font size is in world units so labels scale with zoom.
+     * @returns {Array} - [{ x, y, text, size }]
      */
-    autoCenter(polygons) {
-        if (!polygons) return;
-        const polyList = Array.isArray(polygons) ? polygons : [polygons];
-        if (polyList.length === 0) return;
+    computeWedgeLabels() {
+        if (!this.wedgeCenters) return [];
+        const numWedges = Object.keys(this.wedgeCenters).length;
+        if (numWedges === 0) return [];
 
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
-        let hasPoints = false;
+        // Get sorted keys to ensure stable sequential numbering
+        const sortedKeys = Object.keys(this.wedgeCenters).sort((a, b) => a - b);
 
-        polyList.forEach(poly => {
-            if (!poly.path || poly.path.length === 0) return;
-            poly.path.forEach(p => {
-                if (p.x < minX) minX = p.x;
-                if (p.x > maxX) maxX = p.x;
-                if (p.y < minY) minY = p.y;
-                if (p.y > maxY) maxY = p.y;
-                hasPoints = true;
-            });
-        });
+        const anglePerWedge = (2 * Math.PI) / numWedges;
+
+        return sortedKeys.map((key, i) => {
+            const center = this.wedgeCenters[key];
+            const dist = Math.hypot(center.x, center.y);
+
+            // Estimate width at centroid
+            const arcWidth = dist * anglePerWedge;
+
+            // Estimate bounds size (diagonal)
+            const boundDiag = Math.hypot(center.width, center.height);
 
-        if (!hasPoints) return;
+            // Determine font size based on wedge width approximation
+            let size = Math.min(boundDiag * 0.2, arcWidth * 0.5);
+            size = Math.max(12, size); // Minimum size
 
-        const width = maxX - minX;
-        const height = maxY - minY;
+            return { x: center.x, y: center.y, text: i.toString(), size: size };
+        });
+    }
+
+    /**
+     * Computes a view (scale and offset) that fits polygons into a target area.
+     * @param {Array|Object} polygons - Array of polygons or single polygon
+     * @param {number} width - Target width in pixels
+     * @param {number} height - Target height in pixels
+     * @param {number} maxScale - Upper limit for the scale
+     * @returns {Object|null} - { offsetX, offsetY, scale } or null if there is nothing to fit
+     */
+    fitView(polygons, width, height, maxScale = Infinity) {
+        const bounds = computeBounds(polygons);
+        if (!bounds) return null;
+        const { minX, minY, maxX, maxY } = bounds;
 
         // Add some padding
         const padding = 50;
-        const targetW = width + padding * 2;
-        const targetH = height + padding * 2;
-
-        const scaleX = this.canvas.width / targetW;
-        const scaleY = this.canvas.height / targetH;
+        const targetW = (maxX - minX) + padding * 2;
+        const targetH = (maxY - minY) + padding * 2;
 
         // Basic fit
-        this.scale = Math.min(scaleX, scaleY, 5.0); // Limit max zoom
+        const scale = Math.min(width / targetW, height / targetH, maxScale);
 
-        // Center
+        // Center the polygons in the middle of the target area
         const cx = (minX + maxX) / 2;
         const cy = (minY + maxY) / 2;
 
-        // Reset offset to center the polygon in the middle of the screen
-        this.offsetX = (this.canvas.width / 2) - (cx * this.scale);
-        this.offsetY = (this.canvas.height / 2) - (cy * this.scale);
+        return {
+            offsetX: (width / 2) - (cx * scale),
+            offsetY: (height / 2) - (cy * scale),
+            scale: scale
+        };
+    }
+
+    /**
+     * Centers the view on a collection of polygons.
+     * @param {Array|Object} polygons - Array of polygons or single polygon
+     */
+    autoCenter(polygons) {
+        const view = this.fitView(polygons, this.canvas.width, this.canvas.height, 5.0); // Limit max zoom
+        if (!view) return;
+        this.stopInertia();
+
+        this.scale = view.scale;
+        this.offsetX = view.offsetX;
+        this.offsetY = view.offsetY;
 
         this.draw();
     }
 
+    /**
+     * Re-renders the current polygons to an offscreen canvas of arbitrary size.
+     * Framing follows autoCenter; line widths and labels keep the same proportion
+     * to the tiles as in the auto-centered on-screen view.
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @param {Object} options - { transparent: boolean,
+     *                             view: fixed { offsetX, offsetY, scale, rotation } instead of autoCenter framing,
+     *                             pixelRatio: fixed line/label multiplier (use with view to keep frames consistent) }
+     * @returns {HTMLCanvasElement|null}
+     */
+    renderToCanvas(width, height, options = {}) {
+        const view = options.view || this.fitView(this.polygons, width, height);
+        const screenView = this.fitView(this.polygons, this.canvas.width, this.canvas.height);
+        if (!view || !screenView) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        this.renderTo(ctx, width, height, view, {
+            background: options.transparent ? null : '#0d1117',
+            pixelRatio: options.pixelRatio || view.scale / screenView.scale,
+            interactive: false
+        });
+        return canvas;
+    }
+
+    /**
+     * Renders other polygons (animation frames) like renderToCanvas without replacing the
+     * displayed data: the spatial index, the WebGL buffers and the overlays stay as they are.
+     * @param {Array} polygons - Polygons to render
+     * @param {string} mode - Display mode of the polygons
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @param {Object} options - See renderToCanvas
+     * @returns {HTMLCanvasElement|null}
+     */
+    renderDataToCanvas(polygons, mode, width, height, options = {}) {
+        const keys = ['polygons', 'allPolygons', 'mode', 'spatialIndex', 'dualGraph', 'wedgeCenters', 'wedgeSums', 'tileLabels',
+            'markers', 'symmetry', 'selectedPolygon', 'construction'];
+        const displayed = {};
+        keys.forEach(key => { displayed[key] = this[key]; });
+        try {
+            // Every frame is drawn in full, so no spatial index is needed
+            Object.assign(this, {
+                polygons: polygons, allPolygons: polygons, mode: mode, spatialIndex: null, dualGraph: null,
+                markers: null, symmetry: null, selectedPolygon: null, construction: null
+            });
+            if (mode === 'tiling') {
+                this.calculateWedgeCenters();
+                this.calculateTileCenters();
+            } else if (mode === 'wedge') {
+                this.calculateTileCenters();
+            }
+            return this.renderToCanvas(width, height, options);
+        } finally {
+            Object.assign(this, displayed);
+        }
+    }
+
     draw() {
         if (!this.ctx) return;
+        const view = { offsetX: this.offsetX, offsetY: this.offsetY, scale: this.scale };
+        if (this.glLayer) {
+            this.glLayer.render(this.canvas.width, this.canvas.height, view, this.tileLayerState());
+            this.ctx.drawImage(this.glLayer.canvas, 0, 0);
+            this.renderTo(this.ctx, this.canvas.width, this.canvas.height, view, { tileLayer: true });
+        } else {
+            this.renderTo(this.ctx, this.canvas.width, this.canvas.height, view);
+        }
+    }
+
+    /**
+     * Switches the on-screen tile rendering between WebGL and Canvas 2D.
+     * Exports (PNG, SVG, animation) always use Canvas 2D.
+     * @param {boolean} enabled - Use WebGL if available
+     * @returns {string|null} - Reason WebGL could not be enabled, or null
+     */
+    setWebGL(enabled) {
+        if (!enabled || this.glLayer) {
+            if (!enabled && this.glLayer) {
+                this.glLayer.dispose();
+                this.glLayer = null;
+                this.draw();
+            }
+            return null;
+        }
+        if (typeof WebGLTileLayer === 'undefined') return "WebGL backend not loaded";
+
+        try {
+            this.glLayer = new WebGLTileLayer();
+        } catch (err) {
+            return err.message;
+        }
+        this.glLayer.onContextLost = () => {
+            // GPU reset or driver failure: continue with Canvas 2D
+            console.warn("WebGL context lost, falling back to Canvas 2D");
+            this.glLayer = null;
+            this.draw();
+        };
+        this.glLayer.setPolygons(this.allPolygons || []);
+        this.draw();
+        return null;
+    }
+
+    /**
+     * Uniform state of the WebGL layer, mirroring the Canvas 2D background, axes and hover overlays.
+     */
+    tileLayerState() {
+        const hoverWedge = this.mode === 'tiling' && this.highlightWedge !== false && this.hoveredWedgeIndex !== null;
+        const hoverRow = (this.mode === 'tiling' || this.mode === 'wedge') && this.highlightLayer !== false && this.hoveredDepth !== null;
+        const hoverColumn = this.mode === 'wedge' && this.highlightColumn !== false && this.hoveredColumn !== null;
+        return {
+            background: '#0d1117',
+            showFill: this.showFill,
+            showLines: this.showLines !== false,
+            showAxis: this.showAxis !== false,
+            polygonCount: this.polygons ? this.polygons.length : 0,
+            lineWidth: 2,
+            axisWidth: 1,
+            hover: {
+                wedge: hoverWedge ? this.hoveredWedgeIndex : -1,
+                row: hoverRow ? this.hoveredDepth : -1,
+                column: hoverColumn ? this.hoveredColumn : -1
+            }
+        };
+    }
+
+    /**
+     * Renders the current polygons and overlays to any 2D context.
+     * Used for the on-screen canvas as well as offscreen export.
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} width - Target width in pixels
+     * @param {number} height - Target height in pixels
+     * @param {Object} view - { offsetX, offsetY, scale, rotation: optional radians about the target center }
+     * @param {Object} options - { background: color or null for transparent,
+     *                             pixelRatio: size multiplier for lines/labels,
+     *                             interactive: draw hover overlays (default true),
+     *                             tileLayer: background, axes, tiles and hover overlays are already
+     *                                        drawn (WebGL layer); draw only the remaining overlays }
+     */
+    renderTo(ctx, width, height, view, options = {}) {
+        const scale = view.scale;
+        const background = ('background' in options) ? options.background : '#0d1117'; // Matches CSS background color
+        const pixelRatio = options.pixelRatio || 1;
+        const interactive = options.interactive !== false;
+        const tileLayer = !!options.tileLayer;
+
+        // Only polygons and labels inside the target area are drawn
+        const area = this.visibleArea(view, width, height);
+        const visible = this.visiblePolygons(area);
+        const inArea = (p) => !area || (p.x >= area.minX && p.x <= area.maxX && p.y >= area.minY && p.y <= area.maxY);
 
         // Clear screen
-        this.ctx.fillStyle = '#0d1117'; // Matches CSS background color
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        if (tileLayer) {
+            // Already composited by draw()
+        } else if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        } else {
+            ctx.clearRect(0, 0, width, height);
+        }
+
+        // Rotate everything below about the target center (animation export)
+        const rotation = view.rotation || 0;
+        if (rotation) {
+            ctx.save();
+            ctx.translate(width / 2, height / 2);
+            ctx.rotate(rotation);
+            ctx.translate(-width / 2, -height / 2);
+        }
 
-        this.ctx.save();
+        ctx.save();
 
         // Apply transform matrix (pan and zoom)
-        this.ctx.translate(this.offsetX, this.offsetY);
-        this.ctx.scale(this.scale, this.scale);
+        ctx.translate(view.offsetX, view.offsetY);
+        ctx.scale(scale, scale);
 
         // Draw axes (as guide)
-        if (this.showAxis !== false) {
-            this.ctx.strokeStyle = '#30363d';
-            this.ctx.lineWidth = 1 / this.scale;
-            this.ctx.beginPath();
-            this.ctx.moveTo(-10000, 0);
-            this.ctx.lineTo(10000, 0);
-            this.ctx.moveTo(0, -10000);
-            this.ctx.lineTo(0, 10000);
-            this.ctx.stroke();
+        if (this.showAxis !== false && !tileLayer) {
+            ctx.strokeStyle = '#30363d';
+            ctx.lineWidth = pixelRatio / scale;
+            ctx.beginPath();
+            ctx.moveTo(-10000, 0);
+            ctx.lineTo(10000, 0);
+            ctx.moveTo(0, -10000);
+            ctx.lineTo(0, 10000);
+            ctx.stroke();
         }
 
         // Draw polygons
-        if (this.polygons) {
-            this.polygons.forEach(poly => {
-                this.ctx.beginPath();
+        if (this.polygons && !tileLayer) {
+            visible.forEach(poly => {
+                ctx.beginPath();
                 if (poly.path.length > 0) {
-                    this.ctx.moveTo(poly.path[0].x, poly.path[0].y);
+                    ctx.moveTo(poly.path[0].x, poly.path[0].y);
                     for (let i = 1; i < poly.path.length; i++) {
-                        this.ctx.lineTo(poly.path[i].x, poly.path[i].y);
+                        ctx.lineTo(poly.path[i].x, poly.path[i].y);
                     }
-                    this.ctx.closePath();
+                    ctx.closePath();
                 }
 
-                this.ctx.fillStyle = this.showFill ? poly.color : '#0d1117';
-                this.ctx.fill();
+                const fill = this.showFill ? poly.color : background;
+                if (fill) {
+                    ctx.fillStyle = fill;
+                    ctx.fill();
+                }
 
                 if (this.showLines !== false && poly.stroke) {
-                    this.ctx.strokeStyle = poly.stroke;
-                    this.ctx.lineWidth = 2 / this.scale;
-                    this.ctx.stroke();
+                    ctx.strokeStyle = poly.stroke;
+                    ctx.lineWidth = 2 * pixelRatio / scale;
+                    ctx.stroke();
+                }
+            });
+        }
+
+        // Construction playback: newly placed wedge, current front and j*
+        if (this.construction && this.polygons) {
+            const construction = this.construction;
+            ctx.fillStyle = 'rgba(255, 211, 61, 0.35)';
+            for (let i = construction.highlightFrom; i < Math.min(construction.highlightTo, this.polygons.length); i++) {
+                const path = this.polygons[i].path;
+                if (path.length === 0) continue;
+                ctx.beginPath();
+                ctx.moveTo(path[0].x, path[0].y);
+                for (let j = 1; j < path.length; j++) {
+                    ctx.lineTo(path[j].x, path[j].y);
+                }
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            const points = construction.frontPoints;
+            if (points && points.length > 1) {
+                ctx.strokeStyle = '#ff7b72';
+                ctx.lineWidth = 3 * pixelRatio / scale;
+                ctx.lineJoin = 'round';
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, points[0].y);
+                for (let i = 1; i < points.length; i++) {
+                    ctx.lineTo(points[i].x, points[i].y);
                 }
+                ctx.stroke();
+
+                const jStar = construction.jStar;
+                if (jStar !== null && jStar >= 0 && jStar + 1 < points.length) {
+                    ctx.strokeStyle = '#ffd33d';
+                    ctx.lineWidth = 6 * pixelRatio / scale;
+                    ctx.beginPath();
+                    ctx.moveTo(points[jStar].x, points[jStar].y);
+                    ctx.lineTo(points[jStar + 1].x, points[jStar + 1].y);
+                    ctx.stroke();
+
+                    ctx.fillStyle = '#ffd33d';
+                    ctx.beginPath();
+                    ctx.arc(points[jStar].x, points[jStar].y, 6 * pixelRatio / scale, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+
+                // Direction index of each front segment
+                ctx.font = `bold ${13 * pixelRatio / scale}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.shadowColor = 'black';
+                ctx.shadowBlur = 3 * pixelRatio;
+                construction.front.forEach((direction, i) => {
+                    ctx.fillStyle = (i === jStar) ? '#ffd33d' : '#ff7b72';
+                    const label = (i === jStar) ? `j*=${i}: ${direction}` : `${direction}`;
+                    ctx.fillText(label, (points[i].x + points[i + 1].x) / 2, (points[i].y + points[i + 1].y) / 2);
+                });
+                ctx.shadowBlur = 0;
+            }
+        }
+
+        // Dual graph overlay (centroid-to-centroid links between edge-adjacent tiles)
+        const graph = this.showDualGraph ? this.getDualGraph() : null;
+        if (graph) {
+            const nodes = graph.nodes;
+            ctx.strokeStyle = 'rgba(240, 136, 62, 0.9)';
+            ctx.lineWidth = 1.5 * pixelRatio / scale;
+            ctx.beginPath();
+            graph.edges.forEach(edge => {
+                if (!inArea(nodes[edge.source].centroid) && !inArea(nodes[edge.target].centroid)) return;
+                ctx.moveTo(nodes[edge.source].centroid.x, nodes[edge.source].centroid.y);
+                ctx.lineTo(nodes[edge.target].centroid.x, nodes[edge.target].centroid.y);
             });
+            ctx.stroke();
+
+            ctx.fillStyle = '#f0883e';
+            const radius = 3 * pixelRatio / scale;
+            ctx.beginPath();
+            nodes.forEach(node => {
+                if (!inArea(node.centroid)) return;
+                ctx.moveTo(node.centroid.x + radius, node.centroid.y);
+                ctx.arc(node.centroid.x, node.centroid.y, radius, 0, 2 * Math.PI);
+            });
+            ctx.fill();
         }
 
-        this.ctx.restore();
+        ctx.restore();
 
         // Debug overlay (draw inside transform matrix for alignment)
-        this.ctx.save();
-        this.ctx.translate(this.offsetX, this.offsetY);
-        this.ctx.scale(this.scale, this.scale);
+        ctx.save();
+        ctx.translate(view.offsetX, view.offsetY);
+        ctx.scale(scale, scale);
 
         if (this.polygons) {
-            this.polygons.forEach(poly => {
+            visible.forEach(poly => {
                 if (!poly.path || poly.path.length === 0) return;
 
-                // 1. Show Edge numbers (Prototile mode only)
                 // 1. Show Edge numbers (Prototile mode only)
                 if (this.mode === 'prototile' && this.showEdges) {
-                    this.ctx.fillStyle = '#ffffff';
-                    this.ctx.font = `${14 / this.scale}px sans-serif`;
-                    this.ctx.textAlign = 'center';
-                    this.ctx.textBaseline = 'middle';
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = `${14 * pixelRatio / scale}px sans-serif`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
 
                     for (let i = 0; i < poly.path.length - 1; i++) {
                         const p1 = poly.path[i];
@@ -510,129 +1204,368 @@ class Renderer {
                         const midX = (p1.x + p2.x) / 2;
                         const midY = (p1.y + p2.y) / 2;
 
-                        this.ctx.fillText(i.toString(), midX, midY);
+                        ctx.fillText(i.toString(), midX, midY);
                     }
                 }
             });
         }
 
-        this.ctx.restore();
+        ctx.restore();
 
         // 2. Hover Overlay (Tiling mode - per Wedge)
         // Blue highlight (transparent)
-        if (this.mode === 'tiling' && this.highlightWedge !== false && this.hoveredWedgeIndex !== null && this.polygons) {
-            this.ctx.save();
-            this.ctx.translate(this.offsetX, this.offsetY);
-            this.ctx.scale(this.scale, this.scale);
+        if (interactive && !tileLayer && this.mode === 'tiling' && this.highlightWedge !== false && this.hoveredWedgeIndex !== null && this.polygons) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
 
-            this.ctx.fillStyle = 'rgba(20, 140, 170, 0.4)';
+            ctx.fillStyle = 'rgba(20, 140, 170, 0.4)';
 
-            this.polygons.forEach(poly => {
+            visible.forEach(poly => {
                 if (poly.meta && poly.meta.wedgeIndex === this.hoveredWedgeIndex) {
-                    this.ctx.beginPath();
+                    ctx.beginPath();
                     if (poly.path.length > 0) {
-                        this.ctx.moveTo(poly.path[0].x, poly.path[0].y);
+                        ctx.moveTo(poly.path[0].x, poly.path[0].y);
                         for (let i = 1; i < poly.path.length; i++) {
-                            this.ctx.lineTo(poly.path[i].x, poly.path[i].y);
+                            ctx.lineTo(poly.path[i].x, poly.path[i].y);
                         }
-                        this.ctx.closePath();
+                        ctx.closePath();
                     }
-                    this.ctx.fill();
+                    ctx.fill();
                 }
             });
 
-            this.ctx.restore();
+            ctx.restore();
         }
 
-        // 3. Depth Overlay (Tiling mode - same depth)
+        // 3. Depth Overlay (Wedge/Tiling mode - same depth)
         // Red highlight (transparent)
-        if (this.mode === 'tiling' && this.highlightLayer !== false && this.hoveredDepth !== null && this.polygons) {
-            this.ctx.save();
-            this.ctx.translate(this.offsetX, this.offsetY);
-            this.ctx.scale(this.scale, this.scale);
+        if (interactive && !tileLayer && (this.mode === 'tiling' || this.mode === 'wedge') && this.highlightLayer !== false && this.hoveredDepth !== null && this.polygons) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
 
-            this.ctx.fillStyle = 'rgba(170, 170, 10, 0.4)';
+            ctx.fillStyle = 'rgba(170, 170, 10, 0.4)';
 
-            this.polygons.forEach(poly => {
+            visible.forEach(poly => {
                 if (poly.meta && typeof poly.meta.r !== 'undefined' && poly.meta.r === this.hoveredDepth) {
-                    this.ctx.beginPath();
+                    ctx.beginPath();
                     if (poly.path.length > 0) {
-                        this.ctx.moveTo(poly.path[0].x, poly.path[0].y);
+                        ctx.moveTo(poly.path[0].x, poly.path[0].y);
                         for (let i = 1; i < poly.path.length; i++) {
-                            this.ctx.lineTo(poly.path[i].x, poly.path[i].y);
+                            ctx.lineTo(poly.path[i].x, poly.path[i].y);
                         }
-                        this.ctx.closePath();
+                        ctx.closePath();
                     }
-                    this.ctx.fill();
+                    ctx.fill();
                 }
             });
 
-            this.ctx.restore();
+            ctx.restore();
         }
 
-        // 4. Draw labels
-        this.ctx.save();
-        this.ctx.translate(this.offsetX, this.offsetY);
-        this.ctx.scale(this.scale, this.scale);
-
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = `bold ${18 / this.scale}px sans-serif`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-
-        // Tiling mode: Show Wedge numbers
-        if (this.mode === 'tiling' && this.wedgeCenters && this.showWedges) {
-            const numWedges = Object.keys(this.wedgeCenters).length;
-            if (numWedges > 0) {
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'middle';
-                this.ctx.fillStyle = '#a3b3cc';
-
-                // Get sorted keys to ensure stable sequential numbering
-                const sortedKeys = Object.keys(this.wedgeCenters).sort((a, b) => a - b);
-
-                const anglePerWedge = (2 * Math.PI) / numWedges;
+        // 3b. Column Overlay (Wedge mode - same column)
+        if (interactive && !tileLayer && this.mode === 'wedge' && this.highlightColumn !== false && this.hoveredColumn !== null && this.polygons) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
 
-                sortedKeys.forEach((key, i) => {
-                    const center = this.wedgeCenters[key];
-                    const dist = Math.hypot(center.x, center.y);
+            ctx.fillStyle = 'rgba(20, 140, 170, 0.4)';
 
-                    // Estimate width at centroid
-                    const arcWidth = dist * anglePerWedge;
+            visible.forEach(poly => {
+                if (poly.meta && typeof poly.meta.c !== 'undefined' && poly.meta.c === this.hoveredColumn) {
+                    ctx.beginPath();
+                    if (poly.path.length > 0) {
+                        ctx.moveTo(poly.path[0].x, poly.path[0].y);
+                        for (let i = 1; i < poly.path.length; i++) {
+                            ctx.lineTo(poly.path[i].x, poly.path[i].y);
+                        }
+                        ctx.closePath();
+                    }
+                    ctx.fill();
+                }
+            });
 
-                    // Estimate bounds size (diagonal)
-                    const boundDiag = Math.hypot(center.width, center.height);
+            ctx.restore();
+        }
 
-                    // Determine font size based on wedge width approximation
-                    let size = Math.min(boundDiag * 0.2, arcWidth * 0.5);
-                    size = Math.max(12, size); // Minimum size
+        // 3c. Edge Overlay (Prototile mode - hovered edge and its direction index)
+        if (interactive && this.mode === 'prototile' && this.hoveredEdge !== null && this.polygons && this.polygons[0]) {
+            const poly = this.polygons[0];
+            const a = poly.path[this.hoveredEdge];
+            const b = poly.path[this.hoveredEdge + 1];
+            if (a && b) {
+                ctx.save();
+                ctx.translate(view.offsetX, view.offsetY);
+                ctx.scale(scale, scale);
+
+                ctx.strokeStyle = '#ffd33d';
+                ctx.lineWidth = 5 * pixelRatio / scale;
+                ctx.lineCap = 'round';
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+
+                const label = this.describeEdge(poly, this.hoveredEdge);
+                ctx.font = `bold ${14 * pixelRatio / scale}px sans-serif`;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'bottom';
+                ctx.fillStyle = '#ffd33d';
+                ctx.shadowColor = 'black';
+                ctx.shadowBlur = 3 * pixelRatio;
+                ctx.fillText(label, (a.x + b.x) / 2 + 8 * pixelRatio / scale, (a.y + b.y) / 2 - 8 * pixelRatio / scale);
+
+                ctx.restore();
+            }
+        }
 
-                    // Remove / this.scale so font scales with zoom (attached to world)
-                    this.ctx.font = `bold ${size}px sans-serif`;
-                    this.ctx.fillText(i.toString(), center.x, center.y);
-                });
+        // Selected polygon outline
+        if (interactive && this.selectedPolygon && this.selectedPolygon.path.length > 0) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
+
+            const path = this.selectedPolygon.path;
+            ctx.beginPath();
+            ctx.moveTo(path[0].x, path[0].y);
+            for (let i = 1; i < path.length; i++) {
+                ctx.lineTo(path[i].x, path[i].y);
             }
+            ctx.closePath();
+            ctx.strokeStyle = '#ffd33d';
+            ctx.lineWidth = 3 * pixelRatio / scale;
+            ctx.stroke();
+
+            ctx.restore();
         }
 
-        // Wedge/Tiling mode: Show tile numbers
-        if ((this.mode === 'wedge' || this.mode === 'tiling') && this.tileLabels && this.showTiles) {
-            this.ctx.font = `bold ${12 / this.scale}px sans-serif`;
-            this.tileLabels.forEach(label => {
-                // Simple shadow
-                this.ctx.shadowColor = "black";
-                this.ctx.shadowBlur = 3;
-                this.ctx.fillStyle = '#ffffff';
-                this.ctx.fillText(label.text, label.x, label.y);
-                this.ctx.shadowBlur = 0;
+        // Point markers (e.g. selected vertex type), constant size on screen
+        if (interactive && this.markers) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
+
+            const radius = 5 * pixelRatio / scale;
+            ctx.beginPath();
+            this.markers.points.forEach(p => {
+                if (!inArea(p)) return;
+                ctx.moveTo(p.x + radius, p.y);
+                ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
             });
+            ctx.fillStyle = this.markers.color;
+            ctx.globalAlpha = 0.5;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = this.markers.color;
+            ctx.lineWidth = 1.5 * pixelRatio / scale;
+            ctx.stroke();
+
+            ctx.restore();
         }
 
-        this.ctx.restore();
-    }
+        // Symmetry elements: mirror axes through, and the group type at, each center with a symmetry
+        if (interactive && this.showSymmetry && this.symmetry) {
+            ctx.save();
+            ctx.translate(view.offsetX, view.offsetY);
+            ctx.scale(scale, scale);
+
+            const elements = this.symmetry.centers.filter(item => item.order > 1 || item.mirrors.length > 0);
+            ctx.strokeStyle = 'rgba(88, 166, 255, 0.9)';
+            ctx.lineWidth = 1.5 * pixelRatio / scale;
+            ctx.setLineDash([8 * pixelRatio / scale, 6 * pixelRatio / scale]);
+            ctx.beginPath();
+            elements.forEach(item => {
+                const c = item.center;
+                // Long enough to cross the visible area
+                const reach = area
+                    ? Math.max(...[[area.minX, area.minY], [area.maxX, area.minY], [area.minX, area.maxY], [area.maxX, area.maxY]]
+                        .map(([x, y]) => Math.hypot(x - c.x, y - c.y)))
+                    : 100000;
+                item.mirrors.forEach(angle => {
+                    const dx = Math.cos(angle) * reach, dy = Math.sin(angle) * reach;
+                    ctx.moveTo(c.x - dx, c.y - dy);
+                    ctx.lineTo(c.x + dx, c.y + dy);
+                });
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const radius = 6 * pixelRatio / scale;
+            ctx.font = `bold ${13 * pixelRatio / scale}px sans-serif`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            elements.forEach(item => {
+                const c = item.center;
+                ctx.beginPath();
+                ctx.arc(c.x, c.y, radius, 0, 2 * Math.PI);
+                ctx.fillStyle = 'rgba(88, 166, 255, 0.5)';
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = '#58a6ff';
+                ctx.fillText(item.type, c.x + radius, c.y - radius);
+            });
 
-    handleMouseMove(mx, my) {
-        if (!this.polygons || this.mode !== 'tiling') return;
+            ctx.restore();
+        }
+
+        // 4. Draw labels
+        ctx.save();
+        ctx.translate(view.offsetX, view.offsetY);
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${18 * pixelRatio / scale}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
 
+        // Tiling mode: Show Wedge numbers
+        if (this.mode === 'tiling' && this.wedgeCenters && this.showWedges) {
+            ctx.fillStyle = '#a3b3cc';
+            this.computeWedgeLabels().forEach(label => {
+                // Font scales with zoom (attached to world)
+                ctx.font = `bold ${label.size}px sans-serif`;
+                ctx.fillText(label.text, label.x, label.y);
+            });
+        }
+
+        // Wedge/Tiling mode: Show tile numbers
+        if ((this.mode === 'wedge' || this.mode === 'tiling') && this.tileLabels && this.showTiles) {
+            ctx.font = `bold ${12 * pixelRatio / scale}px sans-serif`;
+            this.tileLabels.forEach(label => {
+                if (!inArea(label)) return;
+                // Simple shadow
+                ctx.shadowColor = "black";
+                ctx.shadowBlur = 3 * pixelRatio;
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(label.text, label.x, label.y);
+                ctx.shadowBlur = 0;
+            });
+        }
+
+        ctx.restore();
+        if (rotation) ctx.restore();
+    }
+
+    /**
+     * Serializes the current view into a standalone SVG document.
+     * Covers the full extent of the polygons (not just the visible viewport) and
+     * respects the current display toggles. Line widths and label sizes match
+     * their on-screen size relative to the tiles at the current zoom.
+     * @param {Object} options - { transparent: boolean }
+     * @returns {string|null} - SVG markup, or null if there is nothing to export
+     */
+    toSVG(options = {}) {
+        const bounds = computeBounds(this.polygons);
+        if (!bounds) return null;
+
+        const padding = 50;
+        const minX = bounds.minX - padding;
+        const minY = bounds.minY - padding;
+        const width = (bounds.maxX - bounds.minX) + padding * 2;
+        const height = (bounds.maxY - bounds.minY) + padding * 2;
+        const fmt = (v) => Number(v.toFixed(3));
+        const background = options.transparent ? null : '#0d1117'; // Matches CSS background color
+
+        const lines = [];
+        lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+        lines.push(`<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ` +
+            `width="${fmt(width * this.scale)}" height="${fmt(height * this.scale)}" ` +
+            `viewBox="${fmt(minX)} ${fmt(minY)} ${fmt(width)} ${fmt(height)}">`);
+        if (background) {
+            lines.push(`<rect x="${fmt(minX)}" y="${fmt(minY)}" width="${fmt(width)}" height="${fmt(height)}" fill="${background}"/>`);
+        }
+
+        // Axes (clipped to the exported area)
+        if (this.showAxis !== false) {
+            lines.push(`<g stroke="#30363d" stroke-width="${fmt(1 / this.scale)}">`);
+            lines.push(`<line x1="${fmt(minX)}" y1="0" x2="${fmt(minX + width)}" y2="0"/>`);
+            lines.push(`<line x1="0" y1="${fmt(minY)}" x2="0" y2="${fmt(minY + height)}"/>`);
+            lines.push('</g>');
+        }
+
+        // Polygons
+        lines.push(`<g stroke-width="${fmt(2 / this.scale)}" stroke-linejoin="round">`);
+        this.polygons.forEach(poly => {
+            if (!poly.path || poly.path.length === 0) return;
+            const points = poly.path.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ');
+            const fill = toSvgPaint(this.showFill ? poly.color : background);
+            let attrs = `fill="${fill.paint}"`;
+            if (fill.opacity !== 1) attrs += ` fill-opacity="${fill.opacity}"`;
+            if (this.showLines !== false && poly.stroke) {
+                const stroke = toSvgPaint(poly.stroke);
+                attrs += ` stroke="${stroke.paint}"`;
+                if (stroke.opacity !== 1) attrs += ` stroke-opacity="${stroke.opacity}"`;
+            } else {
+                attrs += ' stroke="none"';
+            }
+            lines.push(`<polygon points="${points}" ${attrs}/>`);
+        });
+        lines.push('</g>');
+
+        // Dual graph overlay
+        const graph = this.showDualGraph ? this.getDualGraph() : null;
+        if (graph) {
+            const nodes = graph.nodes;
+            lines.push(`<g stroke="#f0883e" stroke-opacity="0.9" stroke-width="${fmt(1.5 / this.scale)}">`);
+            graph.edges.forEach(edge => {
+                const a = nodes[edge.source].centroid;
+                const b = nodes[edge.target].centroid;
+                lines.push(`<line x1="${fmt(a.x)}" y1="${fmt(a.y)}" x2="${fmt(b.x)}" y2="${fmt(b.y)}"/>`);
+            });
+            lines.push('</g>');
+            lines.push('<g fill="#f0883e">');
+            nodes.forEach(node => {
+                lines.push(`<circle cx="${fmt(node.centroid.x)}" cy="${fmt(node.centroid.y)}" r="${fmt(3 / this.scale)}"/>`);
+            });
+            lines.push('</g>');
+        }
+
+        // Labels
+        lines.push('<g font-family="sans-serif" text-anchor="middle" dominant-baseline="central">');
+
+        // Prototile mode: Edge numbers
+        if (this.mode === 'prototile' && this.showEdges) {
+            lines.push(`<g fill="#ffffff" font-size="${fmt(14 / this.scale)}">`);
+            this.polygons.forEach(poly => {
+                for (let i = 0; i < poly.path.length - 1; i++) {
+                    const midX = (poly.path[i].x + poly.path[i + 1].x) / 2;
+                    const midY = (poly.path[i].y + poly.path[i + 1].y) / 2;
+                    lines.push(`<text x="${fmt(midX)}" y="${fmt(midY)}">${i}</text>`);
+                }
+            });
+            lines.push('</g>');
+        }
+
+        // Tiling mode: Wedge numbers
+        if (this.mode === 'tiling' && this.wedgeCenters && this.showWedges) {
+            lines.push('<g fill="#a3b3cc" font-weight="bold">');
+            this.computeWedgeLabels().forEach(label => {
+                lines.push(`<text x="${fmt(label.x)}" y="${fmt(label.y)}" font-size="${fmt(label.size)}">${escapeXml(label.text)}</text>`);
+            });
+            lines.push('</g>');
+        }
+
+        // Wedge/Tiling mode: Tile numbers (dark halo in place of the canvas shadow)
+        if ((this.mode === 'wedge' || this.mode === 'tiling') && this.tileLabels && this.showTiles) {
+            lines.push(`<g fill="#ffffff" font-weight="bold" font-size="${fmt(12 / this.scale)}" ` +
+                `stroke="#000000" stroke-opacity="0.6" stroke-width="${fmt(2 / this.scale)}" paint-order="stroke">`);
+            this.tileLabels.forEach(label => {
+                lines.push(`<text x="${fmt(label.x)}" y="${fmt(label.y)}">${escapeXml(label.text)}</text>`);
+            });
+            lines.push('</g>');
+        }
+
+        lines.push('</g>');
+        lines.push('</svg>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Converts client (mouse/touch) coordinates to world coordinates.
+     * @returns {Object} - { x, y }
+     */
+    clientToWorld(mx, my) {
         // Correct for canvas position (e.g. offset by menu)
         const rect = this.canvas.getBoundingClientRect();
         const canvasX = mx - rect.left;
@@ -641,22 +1574,88 @@ class Renderer {
         // Convert mouse coordinates to world coordinates
         // screenX = worldX * scale + offsetX
         // worldX = (screenX - offsetX) / scale
-        const worldX = (canvasX - this.offsetX) / this.scale;
-        const worldY = (canvasY - this.offsetY) / this.scale;
+        return {
+            x: (canvasX - this.offsetX) / this.scale,
+            y: (canvasY - this.offsetY) / this.scale
+        };
+    }
+
+    /**
+     * Finds the polygon under a client (mouse/touch) position.
+     * @returns {Object|null} - Polygon or null
+     */
+    findPolygonAt(mx, my) {
+        if (!this.polygons) return null;
+        const world = this.clientToWorld(mx, my);
+        // The index covers all data; only the shown prefix counts (setVisibleCount)
+        const candidates = this.spatialIndex
+            ? this.spatialIndex.queryPoint(world.x, world.y).filter(i => i < this.polygons.length)
+            : this.polygons.map((poly, i) => i);
+
+        // Search in reverse order (top first) in case of overlap
+        for (let c = candidates.length - 1; c >= 0; c--) {
+            const poly = this.polygons[candidates[c]];
+            if (this.isPointInPoly(world.x, world.y, poly.path)) {
+                return poly;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * World rectangle covered by a render target, with a small margin for line widths.
+     * @returns {Object|null} - { minX, minY, maxX, maxY }, or null if everything counts as visible
+     */
+    visibleArea(view, width, height) {
+        if (view.rotation) return null; // Rotated frames are rare (export); skip culling
+        const margin = 20; // px
+        return {
+            minX: (-margin - view.offsetX) / view.scale,
+            minY: (-margin - view.offsetY) / view.scale,
+            maxX: (width + margin - view.offsetX) / view.scale,
+            maxY: (height + margin - view.offsetY) / view.scale
+        };
+    }
+
+    /**
+     * Polygons intersecting an area (all polygons if area is null), in drawing order.
+     */
+    visiblePolygons(area) {
+        if (!this.polygons) return [];
+        if (!area || !this.spatialIndex) return this.polygons;
+        const indices = this.spatialIndex.queryRect(area);
+        if (!indices) return this.polygons;
+        const shown = this.polygons.length;
+        return (shown === this.allPolygons.length ? indices : indices.filter(i => i < shown)).map(i => this.polygons[i]);
+    }
+
+    handleMouseMove(mx, my) {
+        if (!this.polygons) return;
+
+        if (this.mode === 'prototile') {
+            const edge = this.findEdgeAt(mx, my);
+            if (this.hoveredEdge !== edge) {
+                this.hoveredEdge = edge;
+                this.draw();
+            }
+            return;
+        }
 
         // Find hovered polygon
         let foundIndex = null;
         let foundDepth = null;
+        let foundColumn = null;
 
-        // Search in reverse order (top first) in case of overlap
-        for (let i = this.polygons.length - 1; i >= 0; i--) {
-            const poly = this.polygons[i];
-            if (this.isPointInPoly(worldX, worldY, poly.path)) {
-                foundIndex = poly.meta ? poly.meta.wedgeIndex : null;
-                if (poly.meta && typeof poly.meta.r !== 'undefined') {
-                    foundDepth = poly.meta.r;
-                }
-                break;
+        const poly = this.findPolygonAt(mx, my);
+        if (poly && poly.meta) {
+            if (this.mode === 'tiling') {
+                foundIndex = (typeof poly.meta.wedgeIndex !== 'undefined') ? poly.meta.wedgeIndex : null;
+            }
+            if (typeof poly.meta.r !== 'undefined') {
+                foundDepth = poly.meta.r;
+            }
+            if (this.mode === 'wedge' && typeof poly.meta.c !== 'undefined') {
+                foundColumn = poly.meta.c;
             }
         }
 
@@ -669,6 +1668,10 @@ class Renderer {
             this.hoveredDepth = foundDepth;
             needsRedraw = true;
         }
+        if (this.hoveredColumn !== foundColumn) {
+            this.hoveredColumn = foundColumn;
+            needsRedraw = true;
+        }
 
         if (needsRedraw) {
             this.draw();
@@ -676,6 +1679,41 @@ class Renderer {
 
     }
 
+    /**
+     * Returns the index of the prototile edge within a few pixels of the cursor, or null.
+     */
+    findEdgeAt(mx, my) {
+        const poly = this.polygons && this.polygons[0];
+        if (!poly || poly.path.length < 2) return null;
+        const world = this.clientToWorld(mx, my);
+        const threshold = 8 / this.scale; // 8px on screen
+
+        let best = null;
+        let bestDistance = threshold;
+        for (let i = 0; i < poly.path.length - 1; i++) {
+            const distance = distanceToSegment(world.x, world.y, poly.path[i], poly.path[i + 1]);
+            if (distance <= bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Label for a prototile edge: its index and the direction index from l_seq/u_seq.
+     * The path runs forward along l_seq, then backward along u_seq.
+     */
+    describeEdge(poly, edgeIndex) {
+        const meta = poly.meta || {};
+        if (!meta.l_seq || !meta.u_seq) return `#${edgeIndex}`;
+        if (edgeIndex < meta.l_seq.length) {
+            return `#${edgeIndex} · l_seq[${edgeIndex}] = ${meta.l_seq[edgeIndex]}`;
+        }
+        const u = meta.u_seq.length - 1 - (edgeIndex - meta.l_seq.length);
+        return `#${edgeIndex} · u_seq[${u}] = ${meta.u_seq[u]} (reversed)`;
+    }
+
     isPointInPoly(x, y, path) {
         // Raycasting algorithm (point in polygon)
         let inside = false;
@@ -692,471 +1730,1235 @@ class Renderer {
 }
 
 // ==========================================
-// Krinkle Generator Class
+// Generation Client Class
+// Runs generation jobs in worker.js so large configurations do not freeze the UI.
+// Falls back to the main thread where workers are unavailable (e.g. file://).
 // ==========================================
-class KrinkleGenerator {
-    constructor() {
-        this.polygons = [];
-        this.palette = [];
-        this.paletteType = 'color'; // Default type
-        this.currentParams = { m: 0, k: 0, n: 0 };
-    }
-
-    /**
-     * Generates a color palette based on global config.
-     */
-    generatePalette(count, type) {
-        // Fallback to stored state if args missing
-        if (typeof count === 'undefined') {
-            count = TILING_CONFIG.colorCount;
-        }
-        if (typeof type === 'undefined') {
-            type = this.paletteType;
-        }
-
-        // Update stored state
-        this.paletteType = type;
-        this.palette = [];
-        for (let i = 0; i < count; i++) {
-            if (type === 'gray') {
-                // Distribute lightness from 25% to 80% to ensure visibility against dark background
-                const minL = 25;
-                const maxL = 80;
-                const range = maxL - minL;
-                const step = count > 1 ? range / (count - 1) : 0;
-                const l = minL + (step * i);
-                this.palette.push(`hsla(0, 0%, ${Math.floor(l)}%, 0.6)`);
-            } else {
-                // Color mode (Rainbow)
-                const hue = Math.floor((360 / count) * i);
-                this.palette.push(`hsla(${hue}, 70%, 60%, 0.6)`);
-            }
+class GenerationClient {
+    /**
+     * @param {KrinkleGenerator} generator - Main generator; receives each result (adoptResult)
+     * @param {Object} options - { workerUrl: default 'worker.js' }
+     */
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.workerUrl = options.workerUrl || 'worker.js';
+        this.worker = null;
+        this.jobId = 0;       // Incremented per job; results of older jobs are ignored
+        this.current = null;  // Running worker job: { jobId, request, callbacks }
+        this.useWorker = typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * Starts a job, cancelling any job still running.
+     * @param {Object} request - { mode, m, k, n, rows, isOffset, maxColors } (see runGenerationJob)
+     * @param {Object} callbacks - { onProgress(done, total), onResult(result), onError(error) }
+     */
+    run(request, callbacks) {
+        const jobId = ++this.jobId;
+        if (this.useWorker && this.startWorker()) {
+            // A busy worker cannot be interrupted, so replace it
+            if (this.current) this.restartWorker();
+            this.current = { jobId, request, callbacks };
+            this.worker.postMessage({ jobId, request: Object.assign({}, request, { colors: this.colorState() }) });
+            return;
         }
+        this.runLocally(jobId, request, callbacks);
     }
 
     /**
-     * Calculates the color index for a tile.
-     * @param {number} r - Row index (depth)
-     * @param {number} c - Column index
-     * @param {number} wedgeIndex - Index of the wedge
-     * @returns {number} - Index in the palette
-     */
-    getColorIndex(r, c, wedgeIndex) {
-        const config = TILING_CONFIG;
-        const count = config.colorCount;
-        const { m, k, n } = this.currentParams;
-        if (!m || !k || !n) return (wedgeIndex % count); // Fallback if params not set
-
-        // config.wedges is now an array of config objects
-        let wedgeConfig = {};
-        for (const item of config.wedges) {
-            if (item.params &&
-                item.params.c == config.colorCount &&
-                item.params.m == m &&
-                item.params.k == k &&
-                item.params.n == n
-            ) {
-                // Found matching configuration for current parameters
-                wedgeConfig = item[wedgeIndex] || {};
-                break;
+     * Drops the running job without starting a new one.
+     */
+    cancel() {
+        this.jobId++;
+        if (this.current) this.stopWorker();
+    }
+
+    /**
+     * Main-thread fallback. Jobs superseded before they start are skipped,
+     * so rapid changes do not queue up.
+     */
+    runLocally(jobId, request, callbacks) {
+        // Use setTimeout to delay processing for UI update
+        setTimeout(() => {
+            if (jobId !== this.jobId) return;
+            let result;
+            try {
+                result = runGenerationJob(this.generator, request);
+            } catch (e) {
+                callbacks.onError(e);
+                return;
             }
+            callbacks.onResult(result);
+        }, 10);
+    }
+
+    /**
+     * Coloring state of the page that the worker needs to reproduce the colors.
+     */
+    colorState() {
+        return {
+            colorCount: TILING_CONFIG.colorCount,
+            wedges: TILING_CONFIG.wedges,
+            paletteType: this.generator.paletteType,
+            customPalette: this.generator.customPalette
+        };
+    }
+
+    startWorker() {
+        if (this.worker) return true;
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn("Web Worker unavailable, generating on the main thread:", e);
+            this.useWorker = false;
+            return false;
         }
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            // e.g. worker.js failed to load: finish the job here and stop using workers
+            console.warn("Web Worker failed, generating on the main thread:", e.message);
+            if (e.preventDefault) e.preventDefault();
+            const job = this.current;
+            this.stopWorker();
+            this.useWorker = false;
+            if (job && job.jobId === this.jobId) this.runLocally(job.jobId, job.request, job.callbacks);
+        };
+        return true;
+    }
 
-        const reverse = (typeof wedgeConfig.reverse !== 'undefined')
-            ? wedgeConfig.reverse
-            : (wedgeIndex % 2 !== 0);
-        const startColor = (typeof wedgeConfig.startColor !== 'undefined')
-            ? wedgeConfig.startColor
-            : (wedgeIndex % count);
+    stopWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.current = null;
+    }
 
-        let baseIndex;
-        if (reverse) {
-            baseIndex = (count - ((r + c) % count)) % count;
-        } else {
-            baseIndex = (r + c) % count;
+    restartWorker() {
+        this.stopWorker();
+        this.startWorker();
+    }
+
+    handleMessage(data) {
+        const job = this.current;
+        if (!job || data.jobId !== job.jobId) return; // Stale
+        if (data.type === 'progress') {
+            if (job.callbacks.onProgress) job.callbacks.onProgress(data.done, data.total);
+            return;
         }
 
-        return (baseIndex + startColor) % count;
+        this.current = null;
+        if (data.type === 'error') {
+            job.callbacks.onError(new Error(data.message));
+            return;
+        }
+        this.generator.adoptResult(job.request, data.result);
+        job.callbacks.onResult(data.result);
     }
+}
 
+// ==========================================
+// Tiling Explorer Class
+// Grows a Tiling while panning and zooming: rows of each wedge beyond the generated
+// ones are placed in chunks once they become visible. Chunks are cached per wedge
+// and row range, so each is generated only once per result.
+// ==========================================
+class TilingExplorer {
     /**
-     * Generates a Prototile (Wedge 0).
-     * Defines the basic tile shape from the paper.
-     * @param {number} m - Parameter m (Step size)
-     * @param {number} k - Parameter k (Modulus)
-     * @param {number} n - Parameter n (Symmetry - Rotations)
+     * @param {KrinkleGenerator} generator - Generator holding the displayed result
+     * @param {Object} options - { chunkRows: rows per chunk, maxPolygons: limit of displayed polygons }
      */
-    generatePrototile(m, k, n) {
-        console.log(`Generating Prototile with m = ${m}, k = ${k}, n = ${n} `);
-        let hasShortPeriod = false;
-        this.polygons = [];
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.chunkRows = options.chunkRows || 8;
+        this.maxPolygons = options.maxPolygons || 150000;
+        this.session = null; // Explored result: { params, placements, baseRows, center, chunks, count, limited }
+    }
 
-        if (n < k) {
-            console.error("Parameter Error: n must be >= k");
+    isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Starts exploring the generated tiling (the generator's current result).
+     * @param {Object} params - { m, k, n, isOffset, symmetry: rotation order of the construction (0 = default) }
+     * @param {number} rows - Rows of every wedge already generated
+     * @param {number} polygonCount - Number of displayed polygons
+     */
+    start(params, rows, polygonCount) {
+        const generator = this.generator;
+        const placements = generator.computeWedgePlacements(params.m, params.k, params.n, params.isOffset,
+            params.symmetry || generator.defaultSymmetryOrder(params.isOffset));
+        this.session = {
+            params: params,
+            placements: placements.filter(p => p.offset),
+            baseRows: rows,
+            center: generator.symmetryCenter(params.isOffset),
+            frontLength: placements[0].front.length,
+            tileRadius: generator.prototileRadius(),
+            vectors: generator.wedgeVectors(params.m, params.k),
+            chunks: new Map(), // 'wedgeIndex:fromRow-toRow' -> polygons
+            count: polygonCount,
+            limited: false      // A visible chunk was skipped because of maxPolygons
+        };
+    }
+
+    stop() {
+        this.session = null;
+    }
+
+    /**
+     * Places the chunks overlapping the visible area that were not generated yet.
+     * @param {Object} area - Visible world rectangle { minX, minY, maxX, maxY }
+     * @param {number} visibleRadius - Distance from the symmetry center to the farthest visible point
+     * @returns {Array} - New polygons, in wedge and row order
+     */
+    extend(area, visibleRadius) {
+        const session = this.session;
+        if (!session || !area) return [];
+        const generator = this.generator;
+        const { m, k, n } = session.params;
+
+        // Rows beyond this lie outside the visible radius in every wedge
+        const maxRows = generator.rowsForRadius(m, k, n, visibleRadius, session.center, session.frontLength);
+        if (!isFinite(maxRows)) return [];
+
+        const added = [];
+        session.limited = false;
+        session.placements.forEach(placement => {
+            for (let from = session.baseRows; from < maxRows; from += this.chunkRows) {
+                const to = from + this.chunkRows;
+                const key = `${placement.wedgeIndex}:${from}-${to}`;
+                if (session.chunks.has(key) || !this.chunkVisible(placement, from, to, area)) continue;
+
+                // Row r has r + 1 tiles
+                const size = (to * (to + 1) - from * (from + 1)) / 2;
+                if (session.count + added.length + size > this.maxPolygons) {
+                    session.limited = true;
+                    return;
+                }
+                const polygons = generator.placeWedgeRows(placement, from, to);
+                session.chunks.set(key, polygons);
+                polygons.forEach(poly => added.push(poly));
+            }
+        });
+        session.count += added.length;
+        return added;
+    }
+
+    /**
+     * Whether the bounding box of rows [from, to) of a wedge overlaps the area.
+     * The tile origins of these rows span a trapezoid of the wedge lattice.
+     */
+    chunkVisible(placement, from, to, area) {
+        const field = this.generator.field;
+        const { d0, d1 } = this.session.vectors;
+        const last = to - 1;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        [[from, 0], [from, from], [last, 0], [last, last]].forEach(([r, c]) => {
+            const shift = field.add(field.scale(d0, r), field.scale(d1, c));
+            const p = field.toPoint(field.add(placement.offset, field.rotate(shift, placement.rotation)));
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+        const pad = this.session.tileRadius;
+        return minX - pad <= area.maxX && maxX + pad >= area.minX && minY - pad <= area.maxY && maxY + pad >= area.minY;
+    }
+}
+
+// ==========================================
+// Gallery View Class
+// Grid of thumbnails across ranges of (m, k, t) for exploring the parameter space
+// ==========================================
+class GalleryView {
+    /**
+     * @param {Object} elements - { root, grid, status, inputs: { mMin, mMax, kMin, kMax, tMin, tMax, type, rows } }
+     * @param {Object} context - { renderer, generator, isOffset: () => boolean, onSelect: (params) => void }
+     */
+    constructor(elements, context) {
+        this.elements = elements;
+        this.context = context;
+        this.renderToken = 0;  // Incremented to cancel in-progress rendering
+        this.maxItems = 240;   // Upper limit of thumbnails per run
+        this.thumbSize = 180;  // CSS pixels
+    }
+
+    open() {
+        this.elements.root.classList.add('visible');
+        this.render();
+    }
+
+    close() {
+        this.renderToken++;
+        this.elements.root.classList.remove('visible');
+    }
+
+    readRange(minInput, maxInput) {
+        const a = readIntInput(minInput, 0);
+        const b = readIntInput(maxInput, 0);
+        return [Math.min(a, b), Math.max(a, b)];
+    }
+
+    /**
+     * Lists valid configurations (m < k and gcd(m, k) = 1, as enforced in updateTiling).
+     * Stops after maxItems + 1 entries, which is enough to tell that the list was truncated.
+     */
+    collectConfigurations() {
+        const inputs = this.elements.inputs;
+        const [mMin, mMax] = this.readRange(inputs.mMin, inputs.mMax);
+        const [kMin, kMax] = this.readRange(inputs.kMin, inputs.kMax);
+        const [tMin, tMax] = this.readRange(inputs.tMin, inputs.tMax);
+        const isOffset = this.context.isOffset();
+
+        const configs = [];
+        for (let t = tMin; t <= tMax; t++) {
+            for (let k = Math.max(kMin, 2); k <= kMax; k++) {
+                for (let m = Math.max(mMin, 1); m <= Math.min(mMax, k - 1); m++) {
+                    if (gcd(m, k) !== 1) continue;
+                    const n = computeN(m, k, t, isOffset);
+                    if (n < k) continue;
+                    configs.push({ m, k, t, n, isOffset });
+                    if (configs.length > this.maxItems) return configs;
+                }
+            }
         }
+        return configs;
+    }
 
-        if (n < k) {
-            console.error("Parameter Error: n must be >= k");
+    /**
+     * Renders all thumbnails progressively (one per timer tick to keep the UI responsive).
+     */
+    render() {
+        const token = ++this.renderToken;
+        const grid = this.elements.grid;
+        grid.innerHTML = '';
+
+        const configs = this.collectConfigurations();
+        const truncated = configs.length > this.maxItems;
+        const items = configs.slice(0, this.maxItems);
+        const type = this.elements.inputs.type.value;
+        const rows = readIntInput(this.elements.inputs.rows, 3);
+
+        // Thumbnails use their own quiet generator with the current palette type
+        const thumbGenerator = new KrinkleGenerator({ verbose: false });
+        thumbGenerator.paletteType = this.context.generator.paletteType;
+
+        if (items.length === 0) {
+            this.setStatus('No valid configurations in range');
+            return;
         }
 
-        // 1. Generate sequences (logic based on paper)
-        // l_seq (Lower Boundary): [(j * m) % k for j in range(k)] + [k]
-        const l_seq = [];
-        for (let j = 0; j < k; j++) {
-            if (j > 0 && ((j * m) % k) == 0) {
-                // Detect short period (returns to zero before closing loop)
-                hasShortPeriod = true;
-                break;
-            }
-            l_seq.push((j * m) % k);
+        let index = 0;
+        const renderNext = () => {
+            if (token !== this.renderToken || index >= items.length) return;
+            const config = items[index++];
+            grid.appendChild(this.createThumbnail(thumbGenerator, config, type, rows));
+            this.setStatus(`${index} / ${items.length}` + (truncated ? ` (limited to first ${this.maxItems})` : ''));
+            setTimeout(renderNext, 0);
+        };
+        renderNext();
+    }
+
+    createThumbnail(generator, config, type, rows) {
+        const { m, k, t, n, isOffset } = config;
+
+        const item = document.createElement('button');
+        item.className = 'gallery-item';
+        item.title = `Load m = ${m}, k = ${k}, t = ${t}`;
+
+        const canvas = document.createElement('canvas');
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = this.thumbSize * ratio;
+        canvas.height = this.thumbSize * ratio;
+        canvas.style.width = `${this.thumbSize}px`;
+        canvas.style.height = `${this.thumbSize}px`;
+
+        let polygons = [];
+        try {
+            polygons = (type === 'tiling')
+                ? generator.generateTiling(m, k, n, rows, isOffset)
+                : generator.generatePrototile(m, k, n);
+        } catch (e) {
+            console.error(`Gallery generation failed for (${m}, ${k}, ${n}):`, e);
         }
-        l_seq.push(k);
+        this.drawThumbnail(canvas, polygons);
+
+        const caption = document.createElement('span');
+        caption.textContent = `(m, k, n) = (${m}, ${k}, ${n})`;
+
+        item.appendChild(canvas);
+        item.appendChild(caption);
+        item.addEventListener('click', () => {
+            this.close();
+            this.context.onSelect({ m, k, t, mode: type });
+        });
+        return item;
+    }
 
-        // u_seq (Upper Boundary): [k] + [(j * m) % k for j in range(1, k)] + [0]
-        const u_seq = [k];
-        for (let j = 1; j < k; j++) {
-            if (((j * m) % k) == 0) {
-                hasShortPeriod = true;
-                break;
+    drawThumbnail(canvas, polygons) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        ctx.fillStyle = '#0d1117'; // Matches CSS background color
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const view = this.context.renderer.fitView(polygons, canvas.width, canvas.height);
+        if (!view) return;
+        const showFill = this.context.renderer.showFill;
+
+        ctx.save();
+        ctx.translate(view.offsetX, view.offsetY);
+        ctx.scale(view.scale, view.scale);
+        ctx.lineWidth = 1 / view.scale;
+        polygons.forEach(poly => {
+            if (!poly.path || poly.path.length === 0) return;
+            ctx.beginPath();
+            ctx.moveTo(poly.path[0].x, poly.path[0].y);
+            for (let i = 1; i < poly.path.length; i++) {
+                ctx.lineTo(poly.path[i].x, poly.path[i].y);
             }
-            u_seq.push((j * m) % k);
+            ctx.closePath();
+            if (showFill && poly.color) {
+                ctx.fillStyle = poly.color;
+                ctx.fill();
+            }
+            ctx.strokeStyle = poly.stroke || '#888';
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+}
+
+// ==========================================
+// Tile Inspector Class
+// Shows what a clicked polygon is: indices, coloring, geometry and boundary sequences
+// ==========================================
+class TileInspector {
+    /**
+     * @param {Object} elements - { root, title, body, btnClose }
+     * @param {Object} context - { renderer, generator }
+     */
+    constructor(elements, context) {
+        this.elements = elements;
+        this.context = context;
+        this.polygon = null;
+
+        if (elements.btnClose) elements.btnClose.addEventListener('click', () => this.hide());
+    }
+
+    isOpen() {
+        return this.elements.root.classList.contains('visible');
+    }
+
+    show(poly) {
+        const renderer = this.context.renderer;
+        this.polygon = poly;
+        renderer.setSelection(poly);
+
+        const index = renderer.polygons ? renderer.polygons.indexOf(poly) : -1;
+        this.elements.title.textContent = `Polygon #${index}`;
+        this.elements.body.innerHTML = '';
+        this.describe(poly).forEach(([label, value, color]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            if (color) {
+                const swatch = document.createElement('span');
+                swatch.className = 'inspector-swatch';
+                swatch.style.background = color;
+                dd.appendChild(swatch);
+            }
+            dd.appendChild(document.createTextNode(value));
+            this.elements.body.appendChild(dt);
+            this.elements.body.appendChild(dd);
+        });
+        this.elements.root.classList.add('visible');
+    }
+
+    hide() {
+        this.polygon = null;
+        this.context.renderer.setSelection(null);
+        this.elements.root.classList.remove('visible');
+    }
+
+    /**
+     * @returns {Array} - [label, value, swatchColor?] rows
+     */
+    describe(poly) {
+        const generator = this.context.generator;
+        const meta = poly.meta || {};
+        const n = generator.currentParams.n;
+        const rows = [];
+        const has = (key) => typeof meta[key] !== 'undefined';
+
+        if (has('wedgeIndex')) {
+            // Rotation copies are numbered like the wedges they replace (wedge w is rotated by w × 2π/n)
+            const wedge = meta.isCopy ? `${meta.wedgeIndex} (rotated copy of ${meta.sourceWedge})` : `${meta.wedgeIndex}`;
+            rows.push(['Wedge', wedge]);
+        }
+        if (has('tileIndex')) rows.push(['Tile', `${meta.tileIndex}`]);
+        if (has('r')) rows.push(['Row (r)', `${meta.r}`]);
+        if (has('c')) rows.push(['Column (c)', `${meta.c}`]);
+        rows.push(['Copy', meta.isCopy ? 'Yes' : 'No']);
+
+        if (has('colorIndex')) {
+            rows.push(['Color Index', `${meta.colorIndex} (proper coloring)`, poly.color]);
+        } else if (has('r') && has('c')) {
+            const wedgeIndex = meta.wedgeIndex || 0;
+            const colorIndex = generator.getColorIndex(meta.r, meta.c, wedgeIndex, meta.isCopy ? meta.sourceWedge : wedgeIndex);
+            rows.push(['Color Index', `${colorIndex}`, poly.color]);
+        }
+        if (has('closureError')) rows.push(['Closure Error', meta.closureError.toExponential(2)]);
+        if (meta.hasShortPeriod) rows.push(['Short Period', 'Yes']);
+
+        // Geometry (edge length 100)
+        const measures = measurePolygon(poly.path);
+        const rotation = poly.exact ? poly.exact.rotation : 0;
+        rows.push(['Rotation', `${rotation} × 2π/${n}`]);
+        rows.push(['Area', `${(measures.area / 10000).toFixed(4)} (edge²)`]);
+        rows.push(['Perimeter', `${(measures.perimeter / 100).toFixed(2)} (edges)`]);
+        rows.push(['Centroid', `(${measures.centroid.x.toFixed(2)}, ${measures.centroid.y.toFixed(2)})`]);
+
+        // Boundary directions (multiples of 2π/n) of this copy of the prototile
+        const sequences = generator.sequences;
+        if (sequences && n) {
+            const rotate = (seq) => seq.map(d => (d + rotation) % n).join(', ');
+            rows.push(['Lower (l_seq)', rotate(sequences.l_seq)]);
+            rows.push(['Upper (u_seq)', rotate(sequences.u_seq)]);
         }
-        u_seq.push(0);
 
-        // 2. Build Path
-        const path = [{ x: 0, y: 0 }];
-        let current = { x: 0, y: 0 };
+        const ring = poly.path.length > 1 ? poly.path.slice(0, poly.path.length - 1) : poly.path;
+        rows.push([`Vertices (${ring.length})`, ring.map(p => `(${p.x.toFixed(2)}, ${p.y.toFixed(2)})`).join(' ')]);
+        return rows;
+    }
+}
 
-        // Helper: Convert direction index to vector
-        const getVector = (dirIndex) => {
-            const angle = (dirIndex * 2 * Math.PI) / n;
-            const len = 100; // 任意の単位長
-            return {
-                x: Math.cos(angle) * len,
-                y: Math.sin(angle) * len
-            };
-        };
+// ==========================================
+// Construction Player Class
+// Step-by-step playback of generateTiling (generator.constructionSteps)
+// ==========================================
+class ConstructionPlayer {
+    /**
+     * @param {Object} elements - { btnBack, btnPlay, btnStep, btnExit, speed, status }
+     * @param {Object} context - { renderer, generator }
+     */
+    constructor(elements, context) {
+        this.elements = elements;
+        this.context = context;
+        this.active = false;
+        this.index = 0;
+        this.timer = null;
+        this.polygons = null; // Complete polygon list; the renderer shows a prefix of it per step
+        this.steps = [];
+
+        if (elements.btnBack) elements.btnBack.addEventListener('click', () => this.stepBy(-1));
+        if (elements.btnStep) elements.btnStep.addEventListener('click', () => this.stepBy(1));
+        if (elements.btnPlay) elements.btnPlay.addEventListener('click', () => this.toggle());
+        if (elements.btnExit) elements.btnExit.addEventListener('click', () => this.exit());
+        this.updateControls();
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Enters playback for the displayed tiling.
+     * @returns {boolean} - False if there is nothing to play back
+     */
+    begin() {
+        const renderer = this.context.renderer;
+        const steps = this.context.generator.constructionSteps || [];
+        if (renderer.mode !== 'tiling' || !renderer.polygons || steps.length === 0) {
+            this.setStatus("Generate a Tiling to play back its construction.");
+            return false;
+        }
+        this.polygons = renderer.polygons;
+        this.steps = steps.slice();
+        this.active = true;
+        this.show(0);
+        return true;
+    }
+
+    show(index) {
+        const renderer = this.context.renderer;
+        this.index = Math.max(0, Math.min(this.steps.length - 1, index));
+        const step = this.steps[this.index];
+        const previousCount = this.index > 0 ? this.steps[this.index - 1].polygonCount : 0;
+
+        renderer.setVisibleCount(step.polygonCount);
+        renderer.setConstruction({
+            frontPoints: step.type === 'wedge' ? step.frontPoints : null,
+            front: step.type === 'wedge' ? step.front : [],
+            jStar: step.type === 'wedge' ? step.jStar : null,
+            highlightFrom: previousCount,
+            highlightTo: step.polygonCount
+        });
+
+        const prefix = `Step ${this.index + 1}/${this.steps.length}: `;
+        if (step.type === 'copy') {
+            const n = this.context.generator.currentParams.n;
+            this.setStatus(prefix + `Rotation copy of the sector by ${step.rotation} × 2π/${n}`);
+        } else if (step.jStar === null) {
+            this.setStatus(prefix + "Wedge 0 at the origin; its upper boundary is the initial front");
+        } else if (step.jStar < 0) {
+            this.setStatus(prefix + `Wedge ${step.wedgeIndex} skipped (direction ${step.wedgeIndex} not in front)`);
+        } else {
+            this.setStatus(prefix + `Wedge ${step.wedgeIndex} attached at j* = ${step.jStar}, ` +
+                `then front[${step.jStar}] = ${step.wedgeIndex + this.context.generator.currentParams.k}`);
+        }
+        this.updateControls();
+    }
 
-        // Forward along Lower Boundary (l_seq)
-        for (let d of l_seq) {
-            const v = getVector(d);
-            current = { x: current.x + v.x, y: current.y + v.y };
-            path.push(current);
+    stepBy(delta) {
+        this.pause();
+        if (!this.active) {
+            this.begin();
+            return;
+        }
+        this.show(this.index + delta);
+    }
+
+    toggle() {
+        if (this.timer) {
+            this.pause();
+        } else {
+            this.play();
         }
+    }
 
-        // Backward along Upper Boundary (u_seq)
-        // Reverse u_seq to draw path from current point (tip) back to origin.
-        // Python version generates u_pts from origin and joins them,
-        // but here we reverse-traverse to form a closed loop.
-        const u_seq_rev = [...u_seq].reverse();
+    play() {
+        if (!this.active && !this.begin()) return;
+        if (this.index >= this.steps.length - 1) this.show(0); // Restart from the beginning
 
-        for (let d of u_seq_rev) {
-            const v = getVector(d);
-            current = { x: current.x - v.x, y: current.y - v.y };
-            path.push(current);
+        const interval = parseInt(this.elements.speed ? this.elements.speed.value : 500, 10) || 500;
+        this.timer = setInterval(() => {
+            if (this.index >= this.steps.length - 1) {
+                this.pause();
+                return;
+            }
+            this.show(this.index + 1);
+        }, interval);
+        this.updateControls();
+    }
+
+    pause() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
         }
+        this.updateControls();
+    }
 
-        // Check closure (return to start point)
-        const closureError = Math.hypot(current.x, current.y);
-        console.log(`Prototile generated.Closure Error: ${closureError.toFixed(4)} `);
+    /**
+     * Leaves playback.
+     * @param {boolean} restore - Show the complete tiling again (false when it is being replaced anyway)
+     */
+    exit(restore = true) {
+        this.pause();
+        if (!this.active) return;
+        this.active = false;
+        const renderer = this.context.renderer;
+        renderer.setConstruction(null);
+        if (restore) renderer.setVisibleCount(null);
+        this.polygons = null;
+        this.steps = [];
+        this.setStatus('');
+        this.updateControls();
+    }
 
-        this.polygons.push({
-            path: path,
-            color: 'rgba(88, 166, 255, 0.4)',
-            stroke: '#58a6ff',
-            meta: { closureError, hasShortPeriod }
+    updateControls() {
+        if (this.elements.btnPlay) this.elements.btnPlay.textContent = this.timer ? '❚❚ Pause' : '▶ Play';
+        if (this.elements.btnExit) this.elements.btnExit.disabled = !this.active;
+    }
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+}
+
+// ==========================================
+// Animation Exporter Class
+// Sweeps a parameter (rows, t, m) or rotates the view and encodes the frames
+// as an animated GIF or a ZIP of numbered PNGs (encoders.js)
+// ==========================================
+class AnimationExporter {
+    /**
+     * @param {Object} elements - { param, from, to, frames, delay, width, height, format, caption, button }
+     * @param {Object} context - { renderer, generator,
+     *                             readParams: () => { m, k, t, rows, radius, symmetry, mode, isOffset } or null,
+     *                             limits: { rows: [min, max], t: [min, max] } of the parameter inputs,
+     *                             properColors: () => max colors if proper coloring is active, else 0,
+     *                             fileStem: () => string,
+     *                             onStatus: (text, isError) => void, onDownload: (blob, extension) => void }
+     */
+    constructor(elements, context) {
+        this.elements = elements;
+        this.context = context;
+        this.token = 0;         // Incremented to cancel a running export
+        this.running = false;
+        this.maxFrames = 240;   // Upper limit of frames per export
+        this.maxSize = 4096;    // Upper limit of the frame width/height in pixels
+
+        if (elements.button) elements.button.addEventListener('click', () => {
+            if (this.running) {
+                this.cancel();
+            } else {
+                this.start();
+            }
         });
+        if (elements.param) elements.param.addEventListener('change', () => this.suggestRange());
+    }
 
-        return this.polygons;
+    isRunning() {
+        return this.running;
     }
 
     /**
-     * Generates a Wedge (Triangular layout of Prototiles).
-     * @param {number} m 
-     * @param {number} k 
-     * @param {number} n 
-     * @param {number} rows - Number of rows (Depth)
+     * Fills From/To with a sensible range for the selected parameter.
      */
-    generateWedge(m, k, n, rows) {
-        this.currentParams = { m, k, n };
-        console.log(`Generating Wedge with m = ${m}, k = ${k}, n = ${n}, rows = ${rows} `);
-        // First, generate Prototile (base tile) to get sequences and base path
-        const basePolygons = this.generatePrototile(m, k, n);
-        const basePoly = basePolygons[0];
+    suggestRange() {
+        const params = this.context.readParams();
+        if (!params || !this.elements.from || !this.elements.to) return;
+        const ranges = {
+            rows: [1, Math.max(2, params.rows)],
+            t: [2, 5],
+            m: [1, params.k - 1],
+            rotate: [0, 360]
+        };
+        const range = ranges[this.elements.param.value];
+        if (!range) return;
+        this.elements.from.value = range[0];
+        this.elements.to.value = range[1];
+    }
 
-        // If error or empty
-        if (!basePoly || basePoly.path.length === 0) {
-            return basePolygons;
+    /**
+     * Lists the frames for the current settings.
+     * Sweeps step through every integer from From to To (either direction, clamped to the
+     * range of the parameter's input, or 1..k-1 for m), skipping values rejected by
+     * updateTiling (gcd(m, k) > 1, n < k).
+     * @returns {Object} - { frames: [{ m, k, t, n, rows, radius, mode, isOffset, rotation, caption }], error }
+     */
+    collectFrames() {
+        const base = this.context.readParams();
+        if (!base) return { frames: [], error: "Nothing to export" };
+
+        const param = this.elements.param.value;
+        const from = parseInt(this.elements.from.value, 10);
+        const to = parseInt(this.elements.to.value, 10);
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            return { frames: [], error: "Error: Animation range must be two integers" };
         }
 
-        // Helper: Convert direction index to vector
-        const getVector = (dirIndex) => {
-            const angle = (dirIndex * 2 * Math.PI) / n;
-            const len = 100;
-            return {
-                x: Math.cos(angle) * len,
-                y: Math.sin(angle) * len
-            };
+        const frames = [];
+        const push = (overrides) => {
+            const frame = Object.assign({}, base, { rotation: 0 }, overrides);
+            frame.n = computeN(frame.m, frame.k, frame.t, frame.isOffset);
+            if (frame.n < frame.k) return;
+            frame.caption = `(m, k, n) = (${frame.m}, ${frame.k}, ${frame.n})` +
+                (frame.mode === 'prototile' ? '' : frame.radius > 0 ? ` · radius ${frame.radius / 100}` : ` · rows ${frame.rows}`);
+            frames.push(frame);
         };
 
-        const l_seq = [];
-        for (let j = 0; j < k; j++) {
-            if (j > 0 && ((j * m) % k) == 0) {
-                break;
+        if (param === 'rotate') {
+            const count = parseInt(this.elements.frames.value, 10);
+            if (!(count >= 2 && count <= this.maxFrames)) {
+                return { frames: [], error: `Error: Rotation needs 2 to ${this.maxFrames} frames` };
+            }
+            // The end angle is left out so that a full turn loops seamlessly
+            for (let i = 0; i < count; i++) {
+                push({ rotation: (from + (to - from) * i / count) * Math.PI / 180 });
             }
-            l_seq.push((j * m) % k);
+        } else {
+            if (param === 'rows' && base.mode === 'prototile') {
+                return { frames: [], error: "Error: Rows sweep needs Wedge or Tiling mode" };
+            }
+            if (param === 'rows' && base.radius > 0) {
+                return { frames: [], error: "Error: Rows sweep is not available with a Radius extent" };
+            }
+            const limits = (param === 'm') ? [1, base.k - 1] : this.context.limits[param];
+            const clamp = (value) => Math.max(limits[0], Math.min(limits[1], value));
+            const first = clamp(from);
+            const last = clamp(to);
+            const step = (last >= first) ? 1 : -1;
+            for (let value = first; value !== last + step && frames.length <= this.maxFrames; value += step) {
+                if (param === 'rows') push({ rows: value });
+                if (param === 't') push({ t: value });
+                if (param === 'm' && gcd(value, base.k) === 1) push({ m: value });
+            }
+        }
+
+        if (frames.length === 0) return { frames: [], error: "Error: No valid frames in range" };
+        if (frames.length > this.maxFrames) {
+            return { frames: [], error: `Error: Animation is limited to ${this.maxFrames} frames` };
+        }
+        return { frames, error: null };
+    }
+
+    /**
+     * Generates all frames to measure them, then generates each frame again to render and
+     * encode it, one per timer tick (only one frame's polygons are held at a time).
+     * All frames share one framing (covering the largest frame) and one line width,
+     * so the tiling grows or changes in place instead of being re-fitted every frame.
+     */
+    start() {
+        const { frames, error } = this.collectFrames();
+        if (error) {
+            this.context.onStatus(error, error.startsWith('Error'));
+            return;
         }
-        l_seq.push(k);
 
-        // Calculate d0 (Vector sum of l_seq - excluding last element 'k')
-        // Python: sum(get_v((j * m) % k) for j in range(k))
-        let d0 = { x: 0, y: 0 };
-        // l_seq は k+1 要素ある (最後は k). 0 から k-1 までイテレート.
-        for (let j = 0; j < k; j++) {
-            if (j > 0 && ((j * m) % k) == 0) {
-                break;
+        const width = parseInt(this.elements.width.value, 10);
+        const height = parseInt(this.elements.height.value, 10);
+        if (!(width > 0 && height > 0 && width <= this.maxSize && height <= this.maxSize)) {
+            this.context.onStatus(`Error: Animation size must be between 1 and ${this.maxSize} px`, true);
+            return;
+        }
+        const delay = Math.max(10, parseInt(this.elements.delay.value, 10) || 200);
+        const format = this.elements.format.value;
+
+        const token = ++this.token;
+        this.running = true;
+        this.updateButton();
+
+        // Frames use their own quiet generator with the current palette and are rendered
+        // offscreen, so the displayed result (and its generator state) stays untouched
+        const renderer = this.context.renderer;
+        const frameGenerator = new KrinkleGenerator({ verbose: false });
+        frameGenerator.paletteType = this.context.generator.paletteType;
+        frameGenerator.palette = this.context.generator.palette.slice();
+        frameGenerator.customPalette = this.context.generator.customPalette.slice();
+        const maxColors = this.context.properColors();
+
+        // Consecutive frames with the same parameters (rotation) reuse one tiling
+        const sameTiling = (i) => i > 0 && frames[i].m === frames[i - 1].m &&
+            frames[i].t === frames[i - 1].t && frames[i].rows === frames[i - 1].rows;
+        let polygons = null;
+        const generate = (i) => {
+            if (sameTiling(i)) return true;
+            try {
+                polygons = this.generateFrame(frameGenerator, frames[i], maxColors);
+                return true;
+            } catch (e) {
+                console.error("Animation frame generation failed:", e);
+                this.fail("Error: " + e.message);
+                return false;
             }
-            const v = getVector(l_seq[j]);
-            d0.x += v.x;
-            d0.y += v.y;
-        }
-
-        // Calculate d1 (v_k - v_0)
-        // Shift vector in "height" direction of base tile
-        const vk = getVector(k);
-        const v0 = getVector(0);
-        const d1 = {
-            x: vk.x - v0.x,
-            y: vk.y - v0.y
         };
 
-        // Clear list for Wedge generation
-        this.polygons = [];
-
-        // Generate Palette
-        this.generatePalette();
-
-        // Color Scheme Array (Legacy fallback if palette fails, though generatePalette ensures it exists)
-        // const colors = this.palette; 
-
-        let tileIndex = 0;
-        // Loop through specified rows to place tiles
-        // r: Depth (row), c: Column
-        for (let r = 0; r < rows; r++) {
-            for (let c = 0; c <= r; c++) {
-                // Calculate shift position: r * d0 + c * d1
-                const shiftX = r * d0.x + c * d1.x;
-                const shiftY = r * d0.y + c * d1.y;
-
-                // Clone path and shift
-                const newPath = basePoly.path.map(p => ({
-                    x: p.x + shiftX,
-                    y: p.y + shiftY
-                }));
-
-                // Coloring logic
-                const colorIdx = this.getColorIndex(r, c, 0); // Base Wedge is index 0
-
-                this.polygons.push({
-                    path: newPath,
-                    color: this.palette[colorIdx],
-                    stroke: '#888',
-                    meta: {
-                        wedgeIndex: 0,
-                        tileIndex: tileIndex++,
-                        r: r,
-                        c: c
-                    }
-                });
+        // 1. Measure every frame
+        const boundsList = [];
+        let index = 0;
+        const measureNext = () => {
+            if (token !== this.token) return;
+            if (index >= frames.length) {
+                renderFrames();
+                return;
+            }
+            if (!generate(index)) return;
+            boundsList.push(computeBounds(polygons));
+            index++;
+            this.context.onStatus(`Generating frame ${index} / ${frames.length}...`);
+            setTimeout(measureNext, 0);
+        };
+
+        // 2. Generate again, render with a common framing and encode
+        const renderFrames = () => {
+            const framing = this.computeFraming(boundsList, frames.some(frame => frame.rotation));
+            if (!framing) {
+                this.fail("Nothing to export");
+                return;
             }
+            const view = renderer.fitView(framing, width, height);
+            const screenView = renderer.fitView(framing, renderer.canvas.width, renderer.canvas.height);
+            const pixelRatio = view.scale / screenView.scale;
+
+            const gif = (format === 'gif') ? new GifEncoder(width, height) : null;
+            const zip = (format === 'gif') ? null : new ZipWriter();
+            const stem = this.context.fileStem();
+            let frameIndex = 0;
+
+            const renderNext = () => {
+                if (token !== this.token) return;
+                if (frameIndex >= frames.length) {
+                    const bytes = gif ? gif.finish() : zip.finish();
+                    const blob = new Blob([bytes], { type: gif ? 'image/gif' : 'application/zip' });
+                    this.finish();
+                    this.context.onDownload(blob, `${this.elements.param.value}.${gif ? 'gif' : 'zip'}`);
+                    this.context.onStatus(`Exported ${frames.length} frames (${width}×${height} ${gif ? 'GIF' : 'PNG'})`);
+                    return;
+                }
+
+                const frame = frames[frameIndex];
+                if (!generate(frameIndex)) return;
+                const canvas = renderer.renderDataToCanvas(polygons, frame.mode, width, height, {
+                    view: Object.assign({}, view, { rotation: frame.rotation }),
+                    pixelRatio: pixelRatio
+                });
+                if (!canvas) {
+                    this.fail("Error: Frame rendering failed");
+                    return;
+                }
+                if (this.elements.caption && this.elements.caption.checked) {
+                    this.drawCaption(canvas, frame.caption);
+                }
+                frameIndex++;
+                this.context.onStatus(`Encoding frame ${frameIndex} / ${frames.length}...`);
+
+                if (gif) {
+                    const image = canvas.getContext('2d').getImageData(0, 0, width, height);
+                    gif.addFrame(image.data, delay);
+                    setTimeout(renderNext, 0);
+                } else {
+                    canvas.toBlob((blob) => {
+                        if (token !== this.token) return;
+                        if (!blob) {
+                            this.fail("Error: PNG frame export failed (image too large?)");
+                            return;
+                        }
+                        blob.arrayBuffer().then(buffer => {
+                            if (token !== this.token) return;
+                            const number = String(frameIndex).padStart(4, '0');
+                            zip.addFile(`${stem}_${number}.png`, new Uint8Array(buffer));
+                            renderNext();
+                        }).catch(err => {
+                            if (token !== this.token) return;
+                            console.error("PNG frame export failed:", err);
+                            this.fail("Error: PNG frame export failed (" + err.message + ")");
+                        });
+                    }, 'image/png');
+                }
+            };
+            renderNext();
+        };
+
+        measureNext();
+    }
+
+    /**
+     * Generates the polygons of one frame, with a proper coloring if maxColors > 0.
+     */
+    generateFrame(generator, frame, maxColors) {
+        const { m, k, n, rows, radius, symmetry, mode, isOffset } = frame;
+        let polygons;
+        if (mode === 'wedge') {
+            polygons = generator.generateWedge(m, k, n, rows);
+        } else if (mode === 'tiling') {
+            // Sweeps of t change the symmetry; rotation copies that no longer fit fall back to the default
+            polygons = generator.generateTiling(m, k, n, rows, isOffset, {
+                radius: radius || 0,
+                symmetry: generator.symmetryOrders(k, n, isOffset).includes(symmetry) ? symmetry : 0
+            });
+        } else {
+            polygons = generator.generatePrototile(m, k, n);
         }
+        polygons = polygons || [];
 
-        return this.polygons;
+        if (maxColors > 0 && mode !== 'prototile' && polygons.length > 0) {
+            const result = new ColoringSolver({ maxColors: maxColors }).solve(polygons);
+            generator.applyColorIndices(result.colors);
+        }
+        return polygons;
     }
 
     /**
-     * Generates Full Tiling (Front Checking Algorithm).
-     * @param {number} m 
-     * @param {number} k 
-     * @param {number} n 
-     * @param {number} rows - Defined as Wedge size, sometimes reused as 'w_limit'
-     * @param {boolean} isOffset - Whether Offset Mode is enabled
+     * Bounds covering all frames, as a polygon list for Renderer.fitView.
+     * With rotation the bounds become the square around the circle swept by their corners.
+     * @param {Array} boundsList - computeBounds() of each frame (null for empty frames)
      */
-    generateTiling(m, k, n, rows, isOffset) {
-        // Store current params for color lookup
-        this.currentParams = { m, k, n };
+    computeFraming(boundsList, rotates) {
+        let union = null;
+        boundsList.forEach(bounds => {
+            if (!bounds) return;
+            if (!union) {
+                union = Object.assign({}, bounds);
+                return;
+            }
+            union.minX = Math.min(union.minX, bounds.minX);
+            union.minY = Math.min(union.minY, bounds.minY);
+            union.maxX = Math.max(union.maxX, bounds.maxX);
+            union.maxY = Math.max(union.maxY, bounds.maxY);
+        });
+        if (!union) return null;
 
-        // Offset Mode Logic:
-        // - No Offset: w_limit = n (Fill entire circle with Wedges)
-        // - Offset: w_limit = n / 2 (Fill half, then copy by rotation)
-        let w_limit = isOffset ? (n / 2) : n;
+        if (rotates) {
+            const cx = (union.minX + union.maxX) / 2;
+            const cy = (union.minY + union.maxY) / 2;
+            const radius = Math.hypot(union.maxX - union.minX, union.maxY - union.minY) / 2;
+            union = { minX: cx - radius, minY: cy - radius, maxX: cx + radius, maxY: cy + radius };
+        }
+        return [{ path: [{ x: union.minX, y: union.minY }, { x: union.maxX, y: union.maxY }] }];
+    }
 
-        console.log(`Generating Tiling with m = ${m}, k = ${k}, n = ${n}, isOffset = ${isOffset}, w_limit = ${w_limit} `);
+    drawCaption(canvas, text) {
+        const ctx = canvas.getContext('2d');
+        const size = Math.max(12, Math.round(canvas.height / 30));
+        ctx.save();
+        ctx.font = `bold ${size}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.shadowColor = 'black';
+        ctx.shadowBlur = size / 4;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, size, canvas.height - size);
+        ctx.restore();
+    }
 
+    cancel() {
+        if (!this.running) return;
+        this.token++;
+        this.finish();
+        this.context.onStatus("Animation export cancelled");
+    }
 
-        // 1. Generate Base Wedge (Wedge 0)
-        // Use generateWedge logic, but we also need u_seq for front calculation.
-        // Conveniently reusing part of generatePrototile to get sequences.
+    fail(message) {
+        this.token++;
+        this.finish();
+        this.context.onStatus(message, message.startsWith('Error'));
+    }
 
-        let hasShortPeriod = false;
+    /**
+     * Leaves the running state.
+     */
+    finish() {
+        this.running = false;
+        this.updateButton();
+    }
 
-        // Generate u_seq (Upper Boundary)
-        const u_seq = [k];
-        for (let j = 1; j < k; j++) {
-            if (((j * m) % k) == 0) {
-                hasShortPeriod = true;
-                break;
-            }
-            u_seq.push((j * m) % k);
-        }
-        u_seq.push(0);
+    updateButton() {
+        if (this.elements.button) this.elements.button.textContent = this.running ? 'Cancel' : 'Export Animation';
+    }
+}
 
-        // ヘルパー
-        const getVector = (dirIndex) => {
-            const angle = (dirIndex * 2 * Math.PI) / n;
-            const len = 100;
-            return {
-                x: Math.cos(angle) * len,
-                y: Math.sin(angle) * len
-            };
-        };
+// ==========================================
+// Palette Editor Class
+// Named user-defined palettes (color + alpha per entry), stored in localStorage
+// ==========================================
+class PaletteEditor {
+    /**
+     * @param {Object} elements - { select, name, list, btnNew, btnAdd, btnSave, btnDelete, btnApply }
+     * @param {Object} options - { storageKey, presets: { name: [{ color, alpha }] },
+     *                             onChange: (name) => void, onApply: (name) => void, onError: (message) => void }
+     */
+    constructor(elements, options) {
+        this.elements = elements;
+        this.options = options;
+        this.presets = options.presets || {};
+        this.palettes = {};
+
+        this.load();
+        this.initEvents();
+        this.refreshSelect();
+        const names = this.names();
+        if (names.length > 0) this.edit(names[0]);
+    }
 
-        // Generate base Wedge 0
-        // Place per Wedge, similar to Python script
-        const wedge0Polys = this.generateWedge(m, k, n, rows);
-        if (!wedge0Polys || wedge0Polys.length === 0) return [];
+    /**
+     * Converts an editor entry to a CSS color.
+     * @param {Object} entry - { color: '#rrggbb', alpha: 0..1 }
+     */
+    static toCss(entry) {
+        const hex = entry.color.replace('#', '');
+        const r = parseInt(hex.substring(0, 2), 16);
+        const g = parseInt(hex.substring(2, 4), 16);
+        const b = parseInt(hex.substring(4, 6), 16);
+        return `rgba(${r}, ${g}, ${b}, ${entry.alpha})`;
+    }
 
-        // this.polygons will be cleared later, so save Wedge 0 data
-        const baseWedge = [...wedge0Polys];
+    names() {
+        return Object.keys(this.palettes);
+    }
 
-        // 結果配列の初期化
-        this.polygons = []; // Clear global list to fill with all Wedges
+    /**
+     * @param {string} name
+     * @returns {Array|null} - CSS colors of a saved palette
+     */
+    getColors(name) {
+        const palette = this.palettes[name];
+        return palette ? palette.map(PaletteEditor.toCss) : null;
+    }
 
-        // Initialize Front (Boundary)
-        // Python: front_directions = list(u_seq[:-1])
-        // Front represents the connecting surface (list of direction vectors) for placing next Wedge
-        const front_directions = u_seq.slice(0, u_seq.length - 1);
+    /**
+     * @param {Object} entry - Stored palette entry
+     * @returns {boolean} - True if toCss can convert it
+     */
+    static isValidEntry(entry) {
+        return !!entry && typeof entry.color === 'string' && /^#[0-9a-f]{6}$/i.test(entry.color) &&
+            typeof entry.alpha === 'number' && Number.isFinite(entry.alpha) &&
+            entry.alpha >= 0 && entry.alpha <= 1;
+    }
 
-        // 定数
-        const unit_angle = (2 * Math.PI) / n;
-        const wedge_offsets = [];
-        for (let i = 0; i < w_limit; i++) wedge_offsets.push(i % 3);
+    load() {
+        this.palettes = JSON.parse(JSON.stringify(this.presets));
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.options.storageKey) || '{}');
+        } catch (e) {
+            console.warn("Could not load saved palettes:", e);
+            return;
+        }
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return;
+
+        // Corrupted or hand-edited entries are dropped instead of breaking rendering later
+        let dropped = 0;
+        Object.keys(saved).forEach(name => {
+            if (!Array.isArray(saved[name])) {
+                console.warn(`Dropped saved palette "${name}": not a list of colors`);
+                dropped++;
+                return;
+            }
+            const colors = saved[name].filter(entry => PaletteEditor.isValidEntry(entry));
+            if (colors.length < saved[name].length) {
+                console.warn(`Dropped ${saved[name].length - colors.length} invalid colors from saved palette "${name}"`);
+                dropped++;
+            }
+            if (colors.length === 0) {
+                console.warn(`Dropped saved palette "${name}": no valid colors`);
+                return;
+            }
+            this.palettes[name] = colors;
+        });
+        if (dropped > 0) this.persist(); // Remove them from the storage as well
+    }
 
-        // Helper: Clone and transform polygon (Rotate/Translate)
-        const addTransformedWedge = (polys, offsetX, offsetY, rotationIndex, colorOffset) => {
-            const rotAngle = rotationIndex * unit_angle;
+    persist() {
+        // Built-in presets are only stored once they have been modified
+        const saved = {};
+        this.names().forEach(name => {
+            const isUnchangedPreset = this.presets[name] &&
+                JSON.stringify(this.presets[name]) === JSON.stringify(this.palettes[name]);
+            if (!isUnchangedPreset) saved[name] = this.palettes[name];
+        });
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(saved));
+        } catch (e) {
+            console.warn("Could not save palettes:", e);
+        }
+    }
 
-            // Ensure palette is ready (should be done at start of generation)
-            if (this.palette.length !== TILING_CONFIG.colorCount) {
-                this.generatePalette();
-            }
+    initEvents() {
+        const el = this.elements;
+        el.select.addEventListener('change', () => this.edit(el.select.value));
+        el.btnNew.addEventListener('click', () => {
+            el.select.value = '';
+            el.name.value = '';
+            el.list.innerHTML = '';
+            ['#0072b2', '#e69f00', '#009e73'].forEach(color => this.addRow({ color: color, alpha: 0.6 }));
+            el.name.focus();
+        });
+        el.btnAdd.addEventListener('click', () => this.addRow({ color: '#888888', alpha: 0.6 }));
+        el.btnSave.addEventListener('click', () => this.save());
+        el.btnDelete.addEventListener('click', () => this.remove());
+        el.btnApply.addEventListener('click', () => {
+            const name = this.save();
+            if (name) this.options.onApply(name);
+        });
+    }
 
-            polys.forEach(p => {
-                // Rotate then translate
-                // x' = x*cos - y*sin + tx
-                // y' = x*sin + y*cos + ty
-                const cos = Math.cos(rotAngle);
-                const sin = Math.sin(rotAngle);
-
-                const newPath = p.path.map(pt => ({
-                    x: (pt.x * cos - pt.y * sin) + offsetX,
-                    y: (pt.x * sin + pt.y * cos) + offsetY
-                }));
-
-                // Color calculation
-                // Use new configurable logic
-                const r = p.meta.r || 0;
-                const c = p.meta.c || 0;
-
-                // rotationIndex is the actual wedge index in circular layout
-                const cIdx = this.getColorIndex(r, c, rotationIndex);
-
-                this.polygons.push({
-                    path: newPath,
-                    color: this.palette[cIdx],
-                    stroke: '#888',
-                    meta: { ...p.meta, wedgeIndex: rotationIndex }
-                });
-            });
-        };
+    refreshSelect(selected) {
+        const select = this.elements.select;
+        select.innerHTML = '';
+        this.names().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        if (typeof selected !== 'undefined') select.value = selected;
+    }
 
-        // Add Wedge 0 (Origin, No rotation)
-        addTransformedWedge(baseWedge, 0, 0, 0, wedge_offsets[0]);
-
-        // Loop from 1 to w_limit-1 to place remaining Wedges
-        console.log(`Starting loop for ${w_limit} wedges.Front: `, front_directions);
-        for (let i = 1; i < w_limit; i++) {
-            // Find j_star: where front_directions[j] == i
-            // i.e., find where in current front matches the direction of next Wedge
-            let j_star = -1;
-            for (let idx = 0; idx < front_directions.length; idx++) {
-                if (front_directions[idx] == i) {
-                    j_star = idx;
-                    break;
-                }
-            }
+    edit(name) {
+        const palette = this.palettes[name];
+        if (!palette) return;
+        this.elements.select.value = name;
+        this.elements.name.value = name;
+        this.elements.list.innerHTML = '';
+        palette.forEach(entry => this.addRow(entry));
+    }
 
-            console.log(`Wedge ${i}: Found j_star = ${j_star} in front` + JSON.stringify(front_directions));
+    addRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = entry.color;
+
+        const alpha = document.createElement('input');
+        alpha.type = 'range';
+        alpha.min = '0';
+        alpha.max = '1';
+        alpha.step = '0.05';
+        alpha.value = entry.alpha;
+        alpha.title = 'Alpha';
+
+        const alphaValue = document.createElement('span');
+        alphaValue.className = 'palette-alpha';
+        alphaValue.textContent = Number(entry.alpha).toFixed(2);
+        alpha.addEventListener('input', () => {
+            alphaValue.textContent = Number(alpha.value).toFixed(2);
+        });
 
-            if (j_star === -1) {
-                console.warn(`Warning: direction ${i} not found in front for wedge ${i}`);
-                continue;
-            }
+        const remove = document.createElement('button');
+        remove.className = 'palette-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', 'Remove color');
+        remove.addEventListener('click', () => row.remove());
+
+        row.appendChild(color);
+        row.appendChild(alpha);
+        row.appendChild(alphaValue);
+        row.appendChild(remove);
+        this.elements.list.appendChild(row);
+    }
 
-            // Calculate start position (start_pos)
-            // Sum of vectors up to j_star
-            let startX = 0, startY = 0;
-            for (let idx = 0; idx < j_star; idx++) {
-                const v = getVector(front_directions[idx]);
-                startX += v.x;
-                startY += v.y;
-            }
+    readRows() {
+        return Array.from(this.elements.list.querySelectorAll('.palette-row')).map(row => {
+            const inputs = row.querySelectorAll('input');
+            return { color: inputs[0].value, alpha: parseFloat(inputs[1].value) };
+        });
+    }
 
-            // Add transformed Wedge
-            addTransformedWedge(baseWedge, startX, startY, i, wedge_offsets[i]);
-
-            // Update Front
-            // Boundary is updated by placed Wedge
-            front_directions[j_star] = i + k;
-            console.log(`Updated front at ${j_star} to ${i + k}: `, front_directions);
-        }
-
-        // 3. (OFFSET MODE ONLY) 180-degree Rotation Copy
-        // In Offset Mode, generate half, then fill rest by point-symmetric copy
-        if (isOffset) {
-            console.log("Offset Mode: Applying 180-degree rotation copy...");
-            // Pivot (Rotation Center) is midpoint of first edge of first Wedge (Wedge 0)
-            // Wedge 0 starts at (0,0). First edge is direction 0.
-            const v0 = getVector(0);
-            const pivot = { x: v0.x / 2, y: v0.y / 2 };
-
-            console.log("Pivot:", pivot);
-
-            const initialCount = this.polygons.length;
-            // Duplicate current polygons
-            const currentPolys = JSON.parse(JSON.stringify(this.polygons));
-
-            currentPolys.forEach(p => {
-                // Rotate 180 degrees around pivot
-                // x' = 2*px - x
-                // y' = 2*py - y
-                const newPath = p.path.map(pt => ({
-                    x: 2 * pivot.x - pt.x,
-                    y: 2 * pivot.y - pt.y
-                }));
-
-                this.polygons.push({
-                    path: newPath,
-                    color: p.color,
-                    stroke: p.stroke,
-                    // Metadata to identify copy by offset
-                    meta: { ...p.meta, isCopy: true, wedgeIndex: p.meta.wedgeIndex + 10000 }
-                });
-            });
-            console.log(`Added ${this.polygons.length - initialCount} polygons via rotation.`);
+    /**
+     * Saves the edited palette under the entered name.
+     * @returns {string|null} - Saved name, or null on error
+     */
+    save() {
+        const name = this.elements.name.value.trim();
+        const colors = this.readRows();
+        if (!name) {
+            this.options.onError("Palette name is required");
+            return null;
+        }
+        if (colors.length === 0) {
+            this.options.onError("Palette needs at least one color");
+            return null;
         }
+        this.palettes[name] = colors;
+        this.persist();
+        this.refreshSelect(name);
+        this.options.onChange(name);
+        return name;
+    }
 
-        return this.polygons;
+    remove() {
+        const name = this.elements.select.value;
+        if (!this.palettes[name]) return;
+        if (this.presets[name]) {
+            // Built-in palettes are restored instead of deleted
+            this.palettes[name] = JSON.parse(JSON.stringify(this.presets[name]));
+        } else {
+            delete this.palettes[name];
+        }
+        this.persist();
+        this.refreshSelect();
+        const names = this.names();
+        if (names.length > 0) this.edit(this.palettes[name] ? name : names[0]);
+        this.options.onChange(name);
     }
 }
 
@@ -1185,6 +2987,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const inputRows = document.getElementById('param-rows');
     const groupRows = document.getElementById('group-rows');
     const valRows = document.getElementById('val-rows');
+    const groupExtent = document.getElementById('group-extent');
+    const inputExtent = document.getElementById('input-extent');
+    const groupRadius = document.getElementById('group-radius');
+    const inputRadius = document.getElementById('param-radius');
+    const valRadius = document.getElementById('val-radius');
+    const btnFillView = document.getElementById('btn-fill-view');
+    const groupSymmetry = document.getElementById('group-symmetry');
+    const inputSymmetry = document.getElementById('input-symmetry');
     const valA = document.getElementById('val-a');
     const valMod = document.getElementById('val-mod');
     const valT = document.getElementById('val-t');
@@ -1199,12 +3009,38 @@ document.addEventListener('DOMContentLoaded', () => {
     const inputShowWedges = document.getElementById('show-wedges');
     const inputShowTiles = document.getElementById('show-tiles');
     const inputFillMode = document.getElementById('input-fill-mode');
+    const toggleColoringContainer = document.getElementById('toggle-coloring-container');
+    const inputColoring = document.getElementById('input-coloring');
+    const inputMaxColors = document.getElementById('input-max-colors');
 
     // New Visual Toggles
     const checkShowAxis = document.getElementById('check-show-axis');
     const checkShowLines = document.getElementById('check-show-lines');
     const checkHighlightWedge = document.getElementById('check-highlight-wedge');
     const checkHighlightLayer = document.getElementById('check-highlight-layer');
+    const checkHighlightColumn = document.getElementById('check-highlight-column');
+    const checkShowDual = document.getElementById('check-show-dual');
+    const checkShowSymmetry = document.getElementById('check-show-symmetry');
+    const checkWebGL = document.getElementById('check-webgl');
+
+    // Construction playback
+    const groupConstruction = document.getElementById('group-construction');
+
+    // Wedge color editor
+    const groupWedgeColors = document.getElementById('group-wedge-colors');
+    const inputWedgeEditAction = document.getElementById('wedge-edit-action');
+    const btnResetWedgeColors = document.getElementById('btn-reset-wedge-colors');
+    const btnExportColors = document.getElementById('btn-export-colors');
+    const btnImportColors = document.getElementById('btn-import-colors');
+    const inputImportColors = document.getElementById('input-import-colors');
+
+    // Export
+    const btnExportSvg = document.getElementById('btn-export-svg');
+    const btnExportPng = document.getElementById('btn-export-png');
+    const btnExportGraph = document.getElementById('btn-export-graph');
+    const inputExportWidth = document.getElementById('export-width');
+    const inputExportHeight = document.getElementById('export-height');
+    const checkExportTransparent = document.getElementById('export-transparent');
 
     if (!inputK || !inputM || !inputT) {
         console.error("Critical Error: Missing UI inputs.", { inputK, inputM, inputT });
@@ -1218,8 +3054,90 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 
-    function gcd(a, b) {
-        return b === 0 ? a : gcd(b, a % b);
+    // Parameters of the currently displayed result (used for export file names)
+    let lastGenerated = null;
+
+    // View restored from the URL, applied instead of autoCenter after the next generation
+    let pendingView = null;
+
+    // Generation off the main thread (worker.js), with progress and cancellation
+    const generationClient = new GenerationClient(generator);
+
+    // Explore extent: wedges grow into the visible area while panning and zooming out
+    const tilingExplorer = new TilingExplorer(generator);
+    let exploreTimeout = null;
+
+    /**
+     * Adds the chunks of the explored tiling that became visible.
+     */
+    function exploreView() {
+        clearTimeout(exploreTimeout);
+        if (!tilingExplorer.isActive()) return;
+        if (constructionPlayer && constructionPlayer.isActive()) return;
+
+        const area = renderer.visibleArea({ offsetX: renderer.offsetX, offsetY: renderer.offsetY, scale: renderer.scale },
+            renderer.canvas.width, renderer.canvas.height);
+        const added = tilingExplorer.extend(area, renderer.visibleRadius(tilingExplorer.session.center));
+        if (added.length > 0) renderer.appendPolygons(added);
+
+        const session = tilingExplorer.session;
+        if (added.length > 0 || session.limited) {
+            const { m, k, n } = session.params;
+            statusText.textContent = `(m, k, n) = (${m}, ${k}, ${n})[tiling] · ${session.count} tiles explored` +
+                (session.limited ? ` · Limit of ${tilingExplorer.maxPolygons} tiles reached, zoom in` : '');
+        }
+    }
+
+    // Geometric validation of the displayed result
+    const validator = new TilingValidator();
+    let lastValidationReport = null;
+    let validationCounter = 0;
+    let resultNote = ''; // Appended once to the status of the next result (e.g. an import summary)
+
+    /**
+     * Lists the rotation orders available for the tiling (divisors of t, or 2 in Offset Mode;
+     * see symmetryOrders). Keeps the selection when still available.
+     * @returns {number} - Selected order (0 = default construction)
+     */
+    function updateSymmetryOptions(k, n, isOffset) {
+        if (!inputSymmetry) return 0;
+        // A value restored from the URL before the options for n existed
+        const previous = inputSymmetry.dataset.requested || inputSymmetry.value;
+        delete inputSymmetry.dataset.requested;
+
+        const orders = generator.symmetryOrders(k, n, isOffset);
+        const values = ['0'].concat(orders.map(String));
+        const current = Array.from(inputSymmetry.options).map(o => o.value);
+        if (current.join() !== values.join()) {
+            inputSymmetry.innerHTML = '';
+            values.forEach(value => {
+                const order = parseInt(value, 10);
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = order === 0 ? 'Auto' :
+                    order === 1 ? '1 (all wedges)' : `${order} (sector of ${n / order} wedge${n === order ? '' : 's'})`;
+                inputSymmetry.appendChild(option);
+            });
+        }
+        inputSymmetry.value = values.includes(previous) ? previous : '0';
+        return parseInt(inputSymmetry.value, 10);
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function exportFileName(extension) {
+        if (!lastGenerated) return `krinkle.${extension}`;
+        const { m, k, n, mode } = lastGenerated;
+        return `krinkle_${mode}_m${m}_k${k}_n${n}.${extension}`;
     }
 
     function updateTiling(e) {
@@ -1262,10 +3180,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const rows = inputRows ? parseInt(inputRows.value, 10) : 5;
         if (valRows) valRows.textContent = rows;
 
+        // Tiling extent: wedge rows, or a disk of given radius in edge lengths (path units: edge = 100)
+        const radiusMode = mode === 'tiling' && inputExtent && inputExtent.value === 'radius';
+        const exploreMode = mode === 'tiling' && inputExtent && inputExtent.value === 'explore';
+        const radiusEdges = inputRadius ? parseInt(inputRadius.value, 10) : 20;
+        if (valRadius) valRadius.textContent = radiusEdges;
+        const radius = radiusMode ? radiusEdges * 100 : 0;
+
         // Toggle depth input (rows) visibility
         if (groupRows) {
-            groupRows.style.display = (mode === 'wedge' || mode === 'tiling') ? 'block' : 'none';
+            groupRows.style.display = (mode === 'wedge' || (mode === 'tiling' && !radiusMode)) ? 'block' : 'none';
         }
+        if (groupExtent) groupExtent.style.display = (mode === 'tiling') ? 'block' : 'none';
+        if (groupSymmetry) groupSymmetry.style.display = (mode === 'tiling') ? 'block' : 'none';
+        if (groupRadius) groupRadius.style.display = radiusMode ? 'block' : 'none';
 
         // Control display toggle options based on mode:
         // Prototile: Edge #
@@ -1274,6 +3202,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (toggleEdgesContainer) toggleEdgesContainer.style.display = (mode === 'prototile') ? 'block' : 'none';
         if (toggleWedgesContainer) toggleWedgesContainer.style.display = (mode === 'tiling') ? 'block' : 'none';
         if (toggleTilesContainer) toggleTilesContainer.style.display = (mode === 'wedge' || mode === 'tiling') ? 'block' : 'none';
+        if (groupWedgeColors) groupWedgeColors.style.display = (mode === 'tiling') ? 'flex' : 'none';
+        if (groupConstruction) groupConstruction.style.display = (mode === 'tiling') ? 'flex' : 'none';
+        if (toggleColoringContainer) toggleColoringContainer.style.display = (mode === 'prototile') ? 'none' : 'block';
 
         // Configure Fill Mode
         const fillMode = inputFillMode ? inputFillMode.value : 'none';
@@ -1281,7 +3212,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
         let showFill = false;
 
-        if (fillMode !== 'none') {
+        if (fillMode.startsWith('custom:')) {
+            // User-defined palette from the Palette Editor
+            const colors = paletteEditor ? paletteEditor.getColors(fillMode.slice('custom:'.length)) : null;
+            if (colors && colors.length > 0) {
+                showFill = true;
+                generator.setCustomPalette(colors);
+            }
+        } else if (fillMode !== 'none') {
             showFill = true;
             const parts = fillMode.split('-');
             if (parts.length === 2) {
@@ -1292,6 +3230,17 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        // Rendering backend: WebGL when requested and usable, otherwise Canvas 2D
+        if (checkWebGL && !checkWebGL.disabled) {
+            const reason = renderer.setWebGL(checkWebGL.checked);
+            if (reason) {
+                console.warn(`WebGL rendering unavailable: ${reason}`);
+                checkWebGL.checked = false;
+                checkWebGL.disabled = true;
+                checkWebGL.parentElement.title = `Canvas 2D is used: ${reason}`;
+            }
+        }
+
         // Update Renderer Settings
         renderer.setOptions({
             showEdges: inputShowEdges ? inputShowEdges.checked : true,
@@ -1301,78 +3250,145 @@ document.addEventListener('DOMContentLoaded', () => {
             showAxis: checkShowAxis ? checkShowAxis.checked : true,
             showLines: checkShowLines ? checkShowLines.checked : true,
             highlightWedge: checkHighlightWedge ? checkHighlightWedge.checked : true,
-            highlightLayer: checkHighlightLayer ? checkHighlightLayer.checked : true
+            highlightLayer: checkHighlightLayer ? checkHighlightLayer.checked : true,
+            highlightColumn: checkHighlightColumn ? checkHighlightColumn.checked : true,
+            showDualGraph: checkShowDual ? checkShowDual.checked : false,
+            showSymmetry: checkShowSymmetry ? checkShowSymmetry.checked : false
         });
 
         // Calculate Parameter n
-        let n;
-        if (!isOffset) {
-            n = k * t;
-        } else {
-            // Offset Logic (Python Compatible): n = 2 * (t * k - m)
-            n = 2 * (t * k - m);
-        }
+        const n = computeN(m, k, t, isOffset);
 
         // バリデーションエラー表示
         if (n < k) {
+            generationClient.cancel();
             statusText.textContent = "Error: n (k*t) must be >= k";
             statusText.style.color = "#ff6b6b";
             return;
         }
 
-        statusText.style.color = "#8b949e";
-        statusText.textContent = (mode === 'wedge') ? "Generating Wedge..." : "Generating Prototile...";
-
-        // Use setTimeout to delay processing for UI update
-        setTimeout(() => {
-            let polygons = [];
+        // Rotation copies of a fundamental sector (Tiling mode)
+        const symmetry = (mode === 'tiling') ? updateSymmetryOptions(k, n, isOffset) : 0;
 
-            try {
-                if (mode === 'wedge') {
-                    if (typeof generator.generateWedge === 'function') {
-                        polygons = generator.generateWedge(m, k, n, rows);
-                    } else {
-                        throw new Error("generateWedge method missing");
-                    }
-                } else if (mode === 'tiling') {
-                    if (typeof generator.generateTiling === 'function') {
-                        polygons = generator.generateTiling(m, k, n, rows, isOffset);
+        statusText.style.color = "#8b949e";
+        const modeNames = { prototile: 'Prototile', wedge: 'Wedge', tiling: 'Tiling' };
+        statusText.textContent = `Generating ${modeNames[mode] || 'Prototile'}...`;
+        validationCounter++; // A pending validation of the previous result would overwrite the progress
+
+        // Proper coloring replaces the row/column pattern (solved together with the generation)
+        const coloring = inputColoring ? inputColoring.value : 'pattern';
+        // (not while exploring: tiles added later would not be part of the solution)
+        const maxColors = (showFill && coloring === 'proper' && !exploreMode)
+            ? Math.max(2, parseInt(inputMaxColors ? inputMaxColors.value : 4, 10) || 4)
+            : 0;
+
+        // Runs in worker.js when available; a newer call cancels this one
+        generationClient.run({ mode, m, k, n, rows, isOffset, radius, symmetry, maxColors }, {
+            onProgress: (done, total) => {
+                statusText.textContent = `Generating ${modeNames[mode]}... ${done} / ${total} wedges`;
+            },
+            onError: (e) => {
+                console.error("Generation failed:", e);
+                statusText.textContent = "Error: " + e.message;
+                statusText.style.color = "#ff6b6b";
+            },
+            onResult: (result) => {
+                const polygons = result.polygons;
+
+                let coloringNote = '';
+                let coloringFailed = false;
+                if (exploreMode && showFill && coloring === 'proper') {
+                    coloringNote = ' · Proper coloring is off while exploring';
+                } else if (result.coloring) {
+                    const solved = result.coloring;
+                    if (!solved.proper) {
+                        coloringFailed = true;
+                        coloringNote = ` · Needs more than ${maxColors} colors (${solved.conflicts} clashes)`;
+                    } else if (generator.paletteType === 'custom' && generator.customPalette.length < solved.colorCount) {
+                        coloringNote = ` · ${solved.colorCount} colors needed, palette has ${generator.customPalette.length}`;
                     } else {
-                        throw new Error("generateTiling method missing");
+                        coloringNote = ` · ${solved.colorCount} colors` + (solved.optimal ? ' (minimum)' : '');
                     }
+                }
+
+                if (constructionPlayer) constructionPlayer.exit(false);
+                renderer.setDisplayData(polygons, mode);
+                if (exploreMode) {
+                    tilingExplorer.start({ m, k, n, isOffset, symmetry }, rows, polygons.length);
                 } else {
-                    polygons = generator.generatePrototile(m, k, n);
+                    tilingExplorer.stop();
                 }
-            } catch (e) {
-                console.error("Generation failed:", e);
-                statusText.textContent = "Error: " + e.message;
-                statusText.style.color = "#ff6b6b";
-                return;
-            }
 
-            if (!polygons) {
-                console.error("Generator returned undefined");
-                polygons = [];
-            }
+                // Auto-center on first load or change, unless a view was restored from the URL
+                if (pendingView) {
+                    renderer.setView(pendingView);
+                    pendingView = null;
+                } else if (polygons.length > 0) {
+                    renderer.autoCenter(polygons);
+                }
+                lastGenerated = { m, k, n, mode };
+                const coverageNote = result.coverage ? ` · radius ${radiusEdges} (${result.coverage.rows} rows)` : '';
+                statusText.textContent = `(m, k, n) = (${m}, ${k}, ${n})[${mode}]` + coverageNote + coloringNote + resultNote;
+                resultNote = '';
+                exploreView(); // Fill the initial view beyond the generated rows
+
+                const hasShortPeriod = polygons[0]?.meta?.hasShortPeriod || false;
+                if (hasShortPeriod || coloringFailed) {
+                    statusText.style.color = "#ff6b6b";
+                } else {
+                    statusText.style.color = "#8b949e";
+                }
 
-            renderer.setDisplayData(polygons, mode);
+                // Re-check layout scaling after content update
+                if (renderer.updatePanelScale) renderer.updatePanelScale();
 
-            // Auto-center on first load or change
-            if (polygons.length > 0) {
-                renderer.autoCenter(polygons);
-            }
-            statusText.textContent = `(m, k, n) = (${m}, ${k}, ${n})[${mode}]`;
+                writeUrlState();
+                updateVertexTypes();
+                if (inspector && inspector.isOpen()) inspector.hide(); // Polygons were replaced
 
-            const hasShortPeriod = polygons[0]?.meta?.hasShortPeriod || false;
-            if (hasShortPeriod) {
-                statusText.style.color = "#ff6b6b";
-            } else {
-                statusText.style.color = "#8b949e";
+                // Verify geometry once the result is on screen
+                const validationId = ++validationCounter;
+                setTimeout(() => {
+                    if (validationId !== validationCounter) return; // Superseded by a newer result
+                    validateDisplayed(polygons, mode);
+                }, 0);
             }
+        });
+    }
 
-            // Re-check layout scaling after content update
-            if (renderer.updatePanelScale) renderer.updatePanelScale();
-        }, 10);
+    /**
+     * Runs the TilingValidator on the displayed polygons and appends the result to the status bar.
+     */
+    function validateDisplayed(polygons, mode) {
+        const baseText = statusText.textContent;
+        try {
+            lastValidationReport = validator.validate(polygons, { checkGaps: mode === 'tiling' });
+        } catch (e) {
+            console.error("Validation failed:", e);
+            return;
+        }
+
+        // Symmetry group (rotations and reflections) about the origin and the Offset Mode pivot
+        let symmetry = null;
+        if (mode === 'tiling' && generator.field) {
+            try {
+                symmetry = new SymmetryAnalyzer(generator.currentParams.n)
+                    .analyze(polygons, [generator.symmetryCenter(false), generator.symmetryCenter(true)]);
+            } catch (e) {
+                console.error("Symmetry detection failed:", e);
+            }
+        }
+        renderer.setSymmetry(symmetry);
+
+        statusText.textContent = `${baseText} · ${lastValidationReport.summary}` +
+            (symmetry ? ` · Symmetry ${symmetry.type}` : '');
+        statusText.title = `Max closure error: ${lastValidationReport.closure.maxError.toExponential(2)}` +
+            (lastValidationReport.gaps ? `, gap check radius: ${lastValidationReport.gaps.radius.toFixed(0)}` : '') +
+            (symmetry ? ', symmetry: ' + symmetry.centers.map(item =>
+                `${item.type} about (${item.center.x.toFixed(1)}, ${item.center.y.toFixed(1)})`).join(', ') : '');
+        if (!lastValidationReport.valid) {
+            statusText.style.color = "#ff6b6b";
+        }
     }
 
     // Mode-specific preferences (Default: Wedge=ON, Tiling=OFF)
@@ -1417,10 +3433,120 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // ==========================================
+    // URL State (Shareable Links)
+    // Parameters, display options and view are kept in the URL hash, e.g.
+    // #m=3&k=7&t=2&offset=0&mode=tiling&rows=5&fill=3-color&...&x=0&y=0&z=0.25
+    // ==========================================
+    const urlStateFields = [
+        { key: 'm', input: inputM, type: 'number' },
+        { key: 'k', input: inputK, type: 'number' },
+        { key: 't', input: inputT, type: 'number' },
+        { key: 'offset', input: inputOffset, type: 'bool' },
+        { key: 'mode', input: inputMode, type: 'string' },
+        { key: 'rows', input: inputRows, type: 'number' },
+        { key: 'extent', input: inputExtent, type: 'string' },
+        { key: 'radius', input: inputRadius, type: 'number' },
+        { key: 'sym', input: inputSymmetry, type: 'string' },
+        { key: 'fill', input: inputFillMode, type: 'string' },
+        { key: 'coloring', input: inputColoring, type: 'string' },
+        { key: 'maxc', input: inputMaxColors, type: 'number' },
+        { key: 'edges', input: inputShowEdges, type: 'bool' },
+        { key: 'wedges', input: inputShowWedges, type: 'bool' },
+        { key: 'tiles', input: inputShowTiles, type: 'bool' },
+        { key: 'axis', input: checkShowAxis, type: 'bool' },
+        { key: 'lines', input: checkShowLines, type: 'bool' },
+        { key: 'hw', input: checkHighlightWedge, type: 'bool' },
+        { key: 'hl', input: checkHighlightLayer, type: 'bool' },
+        { key: 'hc', input: checkHighlightColumn, type: 'bool' },
+        { key: 'dual', input: checkShowDual, type: 'bool' },
+        { key: 'symm', input: checkShowSymmetry, type: 'bool' },
+        { key: 'gl', input: checkWebGL, type: 'bool' }
+    ];
+
+    /**
+     * Applies state from the URL hash to the UI inputs.
+     * @returns {boolean} - true if the hash contained any state
+     */
+    function readUrlState() {
+        const hash = window.location.hash.replace(/^#/, '');
+        if (!hash) return false;
+        const params = new URLSearchParams(hash);
+
+        urlStateFields.forEach(field => {
+            if (!field.input || !params.has(field.key)) return;
+            const value = params.get(field.key);
+            if (field.type === 'bool') {
+                field.input.checked = (value === '1');
+            } else if (field.type === 'string') {
+                // Ignore values that are not available as options
+                const exists = Array.from(field.input.options || []).some(o => o.value === value);
+                if (exists) field.input.value = value;
+            } else if (!isNaN(parseInt(value, 10))) {
+                field.input.value = parseInt(value, 10);
+            }
+        });
+
+        // Rotation orders are listed once n is known (updateSymmetryOptions)
+        if (inputSymmetry && params.has('sym')) inputSymmetry.dataset.requested = params.get('sym');
+
+        // Keep mode-specific preferences in sync with the restored options
+        if (inputMode) currentMode = inputMode.value;
+        if (modePreferences[currentMode]) {
+            if (inputShowTiles) modePreferences[currentMode].showTiles = inputShowTiles.checked;
+            if (inputFillMode) modePreferences[currentMode].fillMode = inputFillMode.value;
+        }
+
+        const x = parseFloat(params.get('x'));
+        const y = parseFloat(params.get('y'));
+        const z = parseFloat(params.get('z'));
+        if (isFinite(x) && isFinite(y) && isFinite(z) && z > 0) {
+            pendingView = { x: x, y: y, scale: z };
+        }
+        return true;
+    }
+
+    /**
+     * Writes the current UI state and view to the URL hash (without adding history entries).
+     */
+    function writeUrlState() {
+        const params = new URLSearchParams();
+        urlStateFields.forEach(field => {
+            if (!field.input) return;
+            params.set(field.key, field.type === 'bool' ? (field.input.checked ? '1' : '0') : field.input.value);
+        });
+
+        const view = renderer.getView();
+        params.set('x', view.x.toFixed(2));
+        params.set('y', view.y.toFixed(2));
+        params.set('z', Number(view.scale.toPrecision(4)).toString());
+
+        const hash = '#' + params.toString();
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    // Sync pan/zoom to the URL (debounced, drag events fire rapidly)
+    let urlStateTimeout;
+    renderer.onViewChange = () => {
+        clearTimeout(urlStateTimeout);
+        urlStateTimeout = setTimeout(writeUrlState, 300);
+        if (tilingExplorer.isActive()) {
+            clearTimeout(exploreTimeout);
+            exploreTimeout = setTimeout(exploreView, 150);
+        }
+    };
+
+    // Follow links pasted into the address bar of an open page
+    window.addEventListener('hashchange', () => {
+        if (readUrlState()) updateTiling();
+    });
+
     // Add real-time update listeners for input changes
-    const inputs = [inputK, inputM, inputT, inputOffset, inputMode, inputRows,
-        inputShowEdges, inputShowWedges, inputShowTiles, inputFillMode,
-        checkShowAxis, checkShowLines, checkHighlightWedge, checkHighlightLayer];
+    const inputs = [inputK, inputM, inputT, inputOffset, inputMode, inputRows, inputExtent, inputRadius, inputSymmetry,
+        inputShowEdges, inputShowWedges, inputShowTiles, inputFillMode, inputColoring, inputMaxColors,
+        checkShowAxis, checkShowLines, checkHighlightWedge, checkHighlightLayer, checkHighlightColumn, checkShowDual, checkShowSymmetry, checkWebGL];
     inputs.forEach(input => {
         if (input) {
             input.addEventListener('input', updateTiling);
@@ -1428,6 +3554,507 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // ==========================================
+    // Wedge Color Editor
+    // Clicking a wedge in Tiling mode edits its TILING_CONFIG.wedges entry
+    // for the current (c, m, k, n); edits are saved to localStorage.
+    // ==========================================
+    const WEDGE_CONFIG_STORAGE_KEY = 'krinkle.wedgeConfig';
+    const defaultWedgeConfig = JSON.parse(JSON.stringify(TILING_CONFIG.wedges));
+
+    const sameParams = (a, b) => a && b &&
+        a.c == b.c && a.m == b.m && a.k == b.k && a.n == b.n;
+
+    function loadWedgeConfig() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(WEDGE_CONFIG_STORAGE_KEY) || '[]');
+        } catch (e) {
+            console.warn("Could not load saved wedge colors:", e);
+            return;
+        }
+        if (!Array.isArray(saved)) return;
+
+        // Saved entries replace built-in entries with the same parameters
+        let dropped = 0;
+        saved.forEach(stored => {
+            // Same checks as imported files: corrupted or outdated entries are dropped
+            let entry;
+            try {
+                entry = validateColoringConfig({ colorCount: TILING_CONFIG.colorCount, wedges: [stored] }).wedges[0];
+            } catch (e) {
+                console.warn("Dropped saved wedge colors:", e.message);
+                dropped++;
+                return;
+            }
+            const index = TILING_CONFIG.wedges.findIndex(item => sameParams(item.params, entry.params));
+            if (index >= 0) {
+                TILING_CONFIG.wedges[index] = entry;
+            } else {
+                TILING_CONFIG.wedges.push(entry);
+            }
+        });
+        if (dropped > 0) saveWedgeConfig(); // Remove them from the storage as well
+    }
+
+    function saveWedgeConfig() {
+        try {
+            localStorage.setItem(WEDGE_CONFIG_STORAGE_KEY, JSON.stringify(TILING_CONFIG.wedges));
+        } catch (e) {
+            console.warn("Could not save wedge colors:", e);
+        }
+    }
+
+    /**
+     * Regenerates the current configuration while keeping the view (colors only changed).
+     */
+    function refreshColors() {
+        pendingView = renderer.getView();
+        updateTiling();
+    }
+
+    loadWedgeConfig();
+
+    // Radius mode: cover exactly the visible area, keeping the view
+    if (btnFillView && inputRadius) {
+        btnFillView.addEventListener('click', () => {
+            if (!generator.field) return;
+            const center = generator.symmetryCenter(inputOffset ? inputOffset.checked : false);
+            const edges = Math.ceil(renderer.visibleRadius(center) / 100);
+            inputRadius.value = Math.max(1, Math.min(edges, parseInt(inputRadius.max, 10) || 200));
+            pendingView = renderer.getView();
+            updateTiling();
+        });
+    }
+
+    // Step-by-step construction playback (Tiling mode)
+    const constructionPlayer = groupConstruction ? new ConstructionPlayer({
+        btnBack: document.getElementById('btn-construction-back'),
+        btnPlay: document.getElementById('btn-construction-play'),
+        btnStep: document.getElementById('btn-construction-step'),
+        btnExit: document.getElementById('btn-construction-exit'),
+        speed: document.getElementById('construction-speed'),
+        status: document.getElementById('construction-status')
+    }, { renderer: renderer, generator: generator }) : null;
+
+    // Clicking a tile opens the inspector, unless wedge color editing is active
+    const inspectorRoot = document.getElementById('tile-inspector');
+    const inspector = inspectorRoot ? new TileInspector({
+        root: inspectorRoot,
+        title: document.getElementById('inspector-title'),
+        body: document.getElementById('inspector-body'),
+        btnClose: document.getElementById('btn-close-inspector')
+    }, { renderer: renderer, generator: generator }) : null;
+
+    if (inspector) {
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && inspector.isOpen()) inspector.hide();
+        });
+    }
+
+    renderer.onPolygonClick = (poly) => {
+        const action = inputWedgeEditAction ? inputWedgeEditAction.value : 'off';
+        if (action === 'off' || !lastGenerated || lastGenerated.mode !== 'tiling') {
+            if (inspector) inspector.show(poly);
+            return;
+        }
+        if (!poly.meta || typeof poly.meta.wedgeIndex === 'undefined') return;
+        if (!renderer.showFill) {
+            statusText.textContent = "Select a Fill mode to edit wedge colors";
+            return;
+        }
+        if (inputColoring && inputColoring.value === 'proper') {
+            statusText.textContent = "Switch Coloring to Pattern to edit wedge colors";
+            return;
+        }
+
+        // Rotation copies start from the colors of their source wedge and keep their own edits
+        const wedgeIndex = poly.meta.wedgeIndex;
+        const settings = generator.getWedgeColorSettings(wedgeIndex, poly.meta.isCopy ? poly.meta.sourceWedge : wedgeIndex);
+        if (action === 'cycle') {
+            settings.startColor = (settings.startColor + 1) % TILING_CONFIG.colorCount;
+        } else if (action === 'flip') {
+            settings.reverse = !settings.reverse;
+        }
+        generator.setWedgeColorSettings(wedgeIndex, settings);
+        saveWedgeConfig();
+        refreshColors();
+    };
+
+    if (btnResetWedgeColors) {
+        btnResetWedgeColors.addEventListener('click', () => {
+            const entry = generator.findWedgeConfig();
+            if (!entry) return;
+            const index = TILING_CONFIG.wedges.indexOf(entry);
+            const builtIn = defaultWedgeConfig.find(item => sameParams(item.params, entry.params));
+            if (builtIn) {
+                TILING_CONFIG.wedges[index] = JSON.parse(JSON.stringify(builtIn));
+            } else {
+                TILING_CONFIG.wedges.splice(index, 1);
+            }
+            saveWedgeConfig();
+            refreshColors();
+        });
+    }
+
+    // Coloring configuration files (colorCount + all wedges entries)
+    if (btnExportColors) {
+        btnExportColors.addEventListener('click', () => {
+            const data = {
+                colorCount: TILING_CONFIG.colorCount,
+                wedges: TILING_CONFIG.wedges
+            };
+            const json = JSON.stringify(data, null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'krinkle_colors.json');
+        });
+    }
+
+    if (btnImportColors && inputImportColors) {
+        btnImportColors.addEventListener('click', () => inputImportColors.click());
+        inputImportColors.addEventListener('change', () => {
+            const file = inputImportColors.files[0];
+            inputImportColors.value = ''; // Allow importing the same file again
+            if (!file) return;
+
+            file.text().then(text => {
+                const config = validateColoringConfig(JSON.parse(text));
+
+                // Imported entries replace existing entries with the same parameters
+                config.wedges.forEach(entry => {
+                    const index = TILING_CONFIG.wedges.findIndex(item => sameParams(item.params, entry.params));
+                    if (index >= 0) {
+                        TILING_CONFIG.wedges[index] = entry;
+                    } else {
+                        TILING_CONFIG.wedges.push(entry);
+                    }
+                });
+                saveWedgeConfig();
+
+                // Switch the fill to a palette with the imported color count (keeping gray/color)
+                if (inputFillMode) {
+                    const type = inputFillMode.value.endsWith('gray') ? 'gray' : 'color';
+                    const options = Array.from(inputFillMode.options).map(o => o.value);
+                    const value = [`${config.colorCount}-${type}`, `${config.colorCount}-color`]
+                        .find(v => options.includes(v));
+                    if (value) {
+                        inputFillMode.value = value;
+                        if (modePreferences[currentMode]) modePreferences[currentMode].fillMode = value;
+                    } else {
+                        // Entries apply to fills with their color count only
+                        statusText.textContent = `Error: Imported ${config.wedges.length} coloring entries, ` +
+                            `but no fill mode has ${config.colorCount} colors`;
+                        statusText.style.color = "#ff6b6b";
+                        return;
+                    }
+                }
+
+                resultNote = ` · Imported ${config.wedges.length} coloring entries from ${file.name}`;
+                refreshColors();
+            }).catch(e => {
+                console.error("Import failed:", e);
+                statusText.textContent = "Error: " + e.message;
+                statusText.style.color = "#ff6b6b";
+            });
+        });
+    }
+
+    // ==========================================
+    // Palette Editor
+    // Saved palettes appear as "custom:<name>" options of the Fill select
+    // ==========================================
+    const PALETTE_STORAGE_KEY = 'krinkle.palettes';
+    const PALETTE_PRESETS = {
+        // Colorblind-safe palettes (Okabe & Ito 2008 without black; Paul Tol "bright")
+        'Okabe-Ito': ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7']
+            .map(color => ({ color: color, alpha: 0.7 })),
+        'Tol Bright': ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb']
+            .map(color => ({ color: color, alpha: 0.7 }))
+    };
+
+    function populateCustomFillOptions() {
+        if (!inputFillMode || !paletteEditor) return;
+        const previous = inputFillMode.value;
+
+        let group = document.getElementById('fill-custom-group');
+        if (group) group.remove();
+        group = document.createElement('optgroup');
+        group.id = 'fill-custom-group';
+        group.label = 'Custom Palettes';
+        paletteEditor.names().forEach(name => {
+            const option = document.createElement('option');
+            option.value = `custom:${name}`;
+            option.textContent = `${name} (${paletteEditor.palettes[name].length})`;
+            group.appendChild(option);
+        });
+        inputFillMode.appendChild(group);
+
+        // Fall back to no fill if the selected palette was deleted
+        const exists = Array.from(inputFillMode.options).some(o => o.value === previous);
+        inputFillMode.value = exists ? previous : 'none';
+    }
+
+    let paletteEditor = null;
+    const paletteSelect = document.getElementById('palette-select');
+    if (paletteSelect) {
+        paletteEditor = new PaletteEditor({
+            select: paletteSelect,
+            name: document.getElementById('palette-name'),
+            list: document.getElementById('palette-colors'),
+            btnNew: document.getElementById('btn-palette-new'),
+            btnAdd: document.getElementById('btn-palette-add'),
+            btnSave: document.getElementById('btn-palette-save'),
+            btnDelete: document.getElementById('btn-palette-delete'),
+            btnApply: document.getElementById('btn-palette-apply')
+        }, {
+            storageKey: PALETTE_STORAGE_KEY,
+            presets: PALETTE_PRESETS,
+            onChange: (name) => {
+                // Redraw if the changed (or deleted) palette is in use
+                const inUse = inputFillMode && inputFillMode.value === `custom:${name}`;
+                populateCustomFillOptions();
+                if (inUse) {
+                    if (modePreferences[currentMode]) modePreferences[currentMode].fillMode = inputFillMode.value;
+                    refreshColors();
+                }
+            },
+            onApply: (name) => {
+                const value = `custom:${name}`;
+                if (inputFillMode) inputFillMode.value = value;
+                modePreferences.wedge.fillMode = value;
+                modePreferences.tiling.fillMode = value;
+                refreshColors();
+            },
+            onError: (message) => {
+                statusText.textContent = "Error: " + message;
+                statusText.style.color = "#ff6b6b";
+            }
+        });
+        populateCustomFillOptions();
+
+        // Re-fit the panel when the editor is expanded or collapsed
+        const groupPalette = document.getElementById('group-palette');
+        if (groupPalette) groupPalette.addEventListener('toggle', () => renderer.updatePanelScale());
+    }
+
+    // ==========================================
+    // Vertex Types
+    // Table of vertex configurations of the displayed Wedge/Tiling (analysis.js VertexAnalyzer)
+    // ==========================================
+    const groupVertexTypes = document.getElementById('group-vertex-types');
+    const vertexTypesSummary = document.getElementById('vertex-types-summary');
+    const vertexTypesBody = document.getElementById('vertex-types-body');
+
+    function updateVertexTypes() {
+        if (!groupVertexTypes || !vertexTypesBody) return;
+        vertexTypesBody.innerHTML = '';
+        renderer.setMarkers(null);
+        if (!groupVertexTypes.open) return;
+
+        if (!lastGenerated || lastGenerated.mode === 'prototile' || !renderer.polygons) {
+            vertexTypesSummary.textContent = "Generate a Wedge or Tiling to analyze its vertices.";
+            return;
+        }
+
+        const report = new VertexAnalyzer(lastGenerated.n).analyze(renderer.polygons);
+        vertexTypesSummary.textContent = `${report.vertexCount} vertices · ${report.interiorCount} complete · ` +
+            `${report.types.length} types (angles in units of π/${report.n})`;
+
+        const rows = report.types.map(type => ({
+            label: type.angles.join(' · '),
+            corners: type.angles.length,
+            count: type.count,
+            positions: type.positions,
+            title: `Corner angles around the vertex: ${type.angles.map(a => `${a}π/${report.n}`).join(', ')}`
+        }));
+        if (report.boundary.count > 0) {
+            rows.push({ label: 'Boundary', corners: '', count: report.boundary.count, positions: report.boundary.positions,
+                title: 'Incomplete vertices on the outline (angle sum below 2π)', muted: true });
+        }
+        if (report.excess.count > 0) {
+            rows.push({ label: 'Overlapping', corners: '', count: report.excess.count, positions: report.excess.positions,
+                title: 'Angle sum above 2π (overlapping tiles)', muted: true });
+        }
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.title = row.title;
+            if (row.muted) tr.className = 'muted';
+            [row.label, row.corners, row.count].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tr.addEventListener('click', () => {
+                const wasSelected = tr.classList.contains('selected');
+                Array.from(vertexTypesBody.children).forEach(other => other.classList.remove('selected'));
+                if (wasSelected) {
+                    renderer.setMarkers(null);
+                } else {
+                    tr.classList.add('selected');
+                    renderer.setMarkers(row.positions);
+                }
+            });
+            vertexTypesBody.appendChild(tr);
+        });
+    }
+
+    if (groupVertexTypes) {
+        groupVertexTypes.addEventListener('toggle', () => {
+            updateVertexTypes();
+            renderer.updatePanelScale();
+        });
+    }
+
+    // Gallery (parameter space explorer)
+    const galleryRoot = document.getElementById('gallery-view');
+    if (galleryRoot) {
+        const gallery = new GalleryView({
+            root: galleryRoot,
+            grid: document.getElementById('gallery-grid'),
+            status: document.getElementById('gallery-status'),
+            inputs: {
+                mMin: document.getElementById('gallery-m-min'),
+                mMax: document.getElementById('gallery-m-max'),
+                kMin: document.getElementById('gallery-k-min'),
+                kMax: document.getElementById('gallery-k-max'),
+                tMin: document.getElementById('gallery-t-min'),
+                tMax: document.getElementById('gallery-t-max'),
+                type: document.getElementById('gallery-type'),
+                rows: document.getElementById('gallery-rows')
+            }
+        }, {
+            renderer: renderer,
+            generator: generator,
+            isOffset: () => inputOffset ? inputOffset.checked : false,
+            onSelect: ({ m, k, t, mode }) => {
+                inputM.value = m;
+                inputK.value = k;
+                inputT.value = t;
+                if (inputMode && inputMode.value !== mode) {
+                    // Goes through the mode change handler (applies mode preferences, then regenerates)
+                    inputMode.value = mode;
+                    inputMode.dispatchEvent(new Event('change'));
+                } else {
+                    updateTiling();
+                }
+            }
+        });
+
+        const btnOpenGallery = document.getElementById('btn-open-gallery');
+        const btnCloseGallery = document.getElementById('btn-close-gallery');
+        const btnRenderGallery = document.getElementById('btn-render-gallery');
+        if (btnOpenGallery) btnOpenGallery.addEventListener('click', () => gallery.open());
+        if (btnCloseGallery) btnCloseGallery.addEventListener('click', () => gallery.close());
+        if (btnRenderGallery) btnRenderGallery.addEventListener('click', () => gallery.render());
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && galleryRoot.classList.contains('visible')) gallery.close();
+        });
+    }
+
+    // Export current view
+    const isExportTransparent = () => checkExportTransparent ? checkExportTransparent.checked : false;
+
+    if (btnExportSvg) {
+        btnExportSvg.addEventListener('click', () => {
+            const svg = renderer.toSVG({ transparent: isExportTransparent() });
+            if (!svg) {
+                statusText.textContent = "Nothing to export";
+                return;
+            }
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportFileName('svg'));
+        });
+    }
+
+    if (btnExportGraph) {
+        btnExportGraph.addEventListener('click', () => {
+            const graph = renderer.getDualGraph();
+            if (!graph) {
+                statusText.textContent = "Nothing to export";
+                return;
+            }
+            const data = { params: lastGenerated, ...graph.toJSON() };
+            downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), exportFileName('graph.json'));
+        });
+    }
+
+    if (btnExportPng) {
+        btnExportPng.addEventListener('click', () => {
+            const MAX_SIZE = 16384; // Common browser canvas dimension limit
+            const width = parseInt(inputExportWidth ? inputExportWidth.value : 4000, 10);
+            const height = parseInt(inputExportHeight ? inputExportHeight.value : 4000, 10);
+
+            if (!(width > 0 && height > 0 && width <= MAX_SIZE && height <= MAX_SIZE)) {
+                statusText.textContent = `Error: PNG size must be between 1 and ${MAX_SIZE} px`;
+                statusText.style.color = "#ff6b6b";
+                return;
+            }
+
+            statusText.style.color = "#8b949e";
+            statusText.textContent = `Rendering ${width}×${height} PNG...`;
+
+            // Let the status update paint before the (potentially slow) render
+            setTimeout(() => {
+                const canvas = renderer.renderToCanvas(width, height, { transparent: isExportTransparent() });
+                if (!canvas) {
+                    statusText.textContent = "Nothing to export";
+                    return;
+                }
+                canvas.toBlob((blob) => {
+                    if (!blob) {
+                        // Browsers return null when the canvas exceeds their memory limits
+                        statusText.textContent = "Error: PNG export failed (image too large?)";
+                        statusText.style.color = "#ff6b6b";
+                        return;
+                    }
+                    downloadBlob(blob, exportFileName('png'));
+                    statusText.textContent = `Exported ${width}×${height} PNG`;
+                }, 'image/png');
+            }, 10);
+        });
+    }
+
+    // Animation export (parameter sweep or view rotation)
+    const btnExportAnimation = document.getElementById('btn-export-animation');
+    const animationExporter = btnExportAnimation ? new AnimationExporter({
+        param: document.getElementById('anim-param'),
+        from: document.getElementById('anim-from'),
+        to: document.getElementById('anim-to'),
+        frames: document.getElementById('anim-frames'),
+        delay: document.getElementById('anim-delay'),
+        width: document.getElementById('anim-width'),
+        height: document.getElementById('anim-height'),
+        format: document.getElementById('anim-format'),
+        caption: document.getElementById('anim-caption'),
+        button: btnExportAnimation
+    }, {
+        renderer: renderer,
+        generator: generator,
+        readParams: () => {
+            if (!lastGenerated) return null;
+            return {
+                m: lastGenerated.m,
+                k: lastGenerated.k,
+                t: parseInt(inputT.value, 10),
+                rows: inputRows ? parseInt(inputRows.value, 10) : 5,
+                radius: (generator.coverage && lastGenerated.mode === 'tiling') ? generator.coverage.radius : 0,
+                symmetry: inputSymmetry ? parseInt(inputSymmetry.value, 10) || 0 : 0,
+                mode: lastGenerated.mode,
+                isOffset: inputOffset ? inputOffset.checked : false
+            };
+        },
+        limits: { rows: inputLimits(inputRows, 1, 30), t: inputLimits(inputT, 2, 5) },
+        properColors: () => {
+            if (!renderer.showFill || !inputColoring || inputColoring.value !== 'proper') return 0;
+            return Math.max(2, parseInt(inputMaxColors ? inputMaxColors.value : 4, 10) || 4);
+        },
+        fileStem: () => exportFileName('').slice(0, -1),
+        onStatus: (text, isError) => {
+            statusText.textContent = text;
+            statusText.style.color = isError ? "#ff6b6b" : "#8b949e";
+        },
+        onDownload: (blob, extension) => downloadBlob(blob, exportFileName(extension))
+    }) : null;
+
     // Handle Window Resize (Regenerate Shapes as requested)
     let resizeTimeout;
     window.addEventListener('resize', () => {
@@ -1462,6 +4089,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     adjustSliderWidths();
 
-    // Initial Draw
+    // Initial Draw (restore shared state first)
+    readUrlState();
     updateTiling();
 });
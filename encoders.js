@@ -0,0 +1,394 @@
+/*
+  MIT License
+  Copyright (c) 2026 buchio
+  See LICENSE file for details.
+*/
+
+/**
+ * Modulo Krinkle Tiling - Encoders
+ * Dependency-free binary writers for animation export, usable in the browser
+ * (classic script) and in Node.js:
+ *
+ *   const gif = new GifEncoder(width, height);
+ *   gif.addFrame(imageData.data, 200); // RGBA pixels, delay in ms
+ *   const bytes = gif.finish();        // Uint8Array (image/gif)
+ *
+ *   const zip = new ZipWriter();
+ *   zip.addFile('frame_0001.png', pngBytes);
+ *   const archive = zip.finish();      // Uint8Array (application/zip)
+ */
+
+// ==========================================
+// Byte Buffer
+// ==========================================
+
+/**
+ * Growable little-endian byte buffer.
+ */
+class ByteBuffer {
+    constructor(capacity = 1 << 16) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+
+    writeUint16(value) {
+        this.writeByte(value);
+        this.writeByte(value >>> 8);
+    }
+
+    writeUint32(value) {
+        this.writeUint16(value);
+        this.writeUint16(value >>> 16);
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// ==========================================
+// GIF Encoder
+// ==========================================
+
+/**
+ * Animated GIF (GIF89a) writer. Each frame gets its own 256-color table,
+ * chosen by popularity over 15-bit colors; tilings are mostly flat fills,
+ * so the palette colors survive exactly and only anti-aliased edges are approximated.
+ */
+class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} options - { loop: repeat count, 0 = forever (default) }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.frameCount = 0;
+        this.out = new ByteBuffer();
+
+        const out = this.out;
+        out.writeString('GIF89a');
+        out.writeUint16(width);
+        out.writeUint16(height);
+        out.writeByte(0); // No global color table
+        out.writeByte(0); // Background color index
+        out.writeByte(0); // Pixel aspect ratio
+
+        // NETSCAPE2.0 application extension: loop count
+        out.writeBytes([0x21, 0xff, 11]);
+        out.writeString('NETSCAPE2.0');
+        out.writeBytes([3, 1]);
+        out.writeUint16(options.loop !== undefined ? options.loop : 0);
+        out.writeByte(0);
+    }
+
+    /**
+     * Appends a frame.
+     * @param {Uint8ClampedArray|Uint8Array} rgba - width * height * 4 bytes (alpha is ignored)
+     * @param {number} delay - Display time in milliseconds (GIF resolution is 10 ms)
+     */
+    addFrame(rgba, delay = 100) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error(`Frame size mismatch: expected ${this.width}×${this.height} RGBA pixels`);
+        }
+        const { palette, indices } = GifEncoder.quantize(rgba);
+        const out = this.out;
+
+        // Graphic control extension: delay, no transparency
+        out.writeBytes([0x21, 0xf9, 4, 0]);
+        out.writeUint16(Math.max(1, Math.round(delay / 10)));
+        out.writeBytes([0, 0]);
+
+        // Image descriptor with a local 256-color table
+        out.writeByte(0x2c);
+        out.writeUint16(0);
+        out.writeUint16(0);
+        out.writeUint16(this.width);
+        out.writeUint16(this.height);
+        out.writeByte(0x80 | 7);
+        out.writeBytes(palette);
+
+        // LZW image data in sub-blocks of at most 255 bytes
+        const minCodeSize = 8;
+        const data = GifEncoder.lzw(indices, minCodeSize);
+        out.writeByte(minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, Math.min(i + 255, data.length));
+            out.writeByte(block.length);
+            out.writeBytes(block);
+        }
+        out.writeByte(0);
+        this.frameCount++;
+    }
+
+    /**
+     * Writes the trailer and returns the file contents.
+     * @returns {Uint8Array}
+     */
+    finish() {
+        this.out.writeByte(0x3b);
+        return this.out.toUint8Array();
+    }
+
+    /**
+     * Reduces RGBA pixels to at most 256 colors.
+     * The most frequent 15-bit color bins are kept (as the mean of their pixels);
+     * every other bin maps to its nearest kept color.
+     * @returns {Object} - { palette: Uint8Array(768), indices: Uint8Array(pixels) }
+     */
+    static quantize(rgba) {
+        const pixelCount = rgba.length / 4;
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        const bins = new Uint16Array(pixelCount);
+
+        for (let i = 0, p = 0; i < pixelCount; i++, p += 4) {
+            const r = rgba[p], g = rgba[p + 1], b = rgba[p + 2];
+            const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            bins[i] = bin;
+            counts[bin]++;
+            sums[bin * 3] += r;
+            sums[bin * 3 + 1] += g;
+            sums[bin * 3 + 2] += b;
+        }
+
+        const used = [];
+        for (let bin = 0; bin < 32768; bin++) {
+            if (counts[bin] > 0) used.push(bin);
+        }
+        used.sort((a, b) => counts[b] - counts[a]);
+        const kept = used.slice(0, 256);
+
+        const palette = new Uint8Array(768);
+        const binIndex = new Int16Array(32768).fill(-1);
+        kept.forEach((bin, i) => {
+            palette[i * 3] = Math.round(sums[bin * 3] / counts[bin]);
+            palette[i * 3 + 1] = Math.round(sums[bin * 3 + 1] / counts[bin]);
+            palette[i * 3 + 2] = Math.round(sums[bin * 3 + 2] / counts[bin]);
+            binIndex[bin] = i;
+        });
+
+        for (let u = kept.length; u < used.length; u++) {
+            const bin = used[u];
+            const r = sums[bin * 3] / counts[bin];
+            const g = sums[bin * 3 + 1] / counts[bin];
+            const b = sums[bin * 3 + 2] / counts[bin];
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < kept.length; i++) {
+                const dr = palette[i * 3] - r, dg = palette[i * 3 + 1] - g, db = palette[i * 3 + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            binIndex[bin] = best;
+        }
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = binIndex[bins[i]];
+        }
+        return { palette, indices };
+    }
+
+    /**
+     * GIF variable-length LZW compression (codes packed LSB first).
+     * @param {Uint8Array} indices - Color indices
+     * @param {number} minCodeSize - Bits per color index (2..8)
+     * @returns {Uint8Array}
+     */
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = new ByteBuffer(Math.max(1024, indices.length >> 2));
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        let buffer = 0;
+        let bits = 0;
+        const emit = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                out.writeByte(buffer & 0xff);
+                buffer >>>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (indices.length === 0) {
+            emit(endCode);
+            if (bits > 0) out.writeByte(buffer);
+            return out.toUint8Array();
+        }
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) out.writeByte(buffer);
+        return out.toUint8Array();
+    }
+}
+
+// ==========================================
+// ZIP Writer
+// ==========================================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let j = 0; j < 8; j++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Uncompressed ("stored") ZIP archive writer, used to bundle numbered PNG frames
+ * into one download. PNG data is already compressed, so storing loses nothing.
+ */
+class ZipWriter {
+    constructor() {
+        this.out = new ByteBuffer();
+        this.entries = [];
+    }
+
+    /**
+     * @param {string} name - File name inside the archive (ASCII)
+     * @param {Uint8Array} bytes - File contents
+     * @param {Date} date - Modification time (default: now)
+     */
+    addFile(name, bytes, date = new Date()) {
+        const out = this.out;
+        const crc = crc32(bytes);
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const entry = { name, crc, size: bytes.length, time, day, offset: out.length };
+
+        out.writeUint32(0x04034b50); // Local file header
+        out.writeUint16(20);         // Version needed (2.0)
+        out.writeUint16(0);          // Flags
+        out.writeUint16(0);          // Method: stored
+        out.writeUint16(time);
+        out.writeUint16(day);
+        out.writeUint32(crc);
+        out.writeUint32(bytes.length);
+        out.writeUint32(bytes.length);
+        out.writeUint16(name.length);
+        out.writeUint16(0);          // Extra field length
+        out.writeString(name);
+        out.writeBytes(bytes);
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Writes the central directory and returns the archive.
+     * @returns {Uint8Array}
+     */
+    finish() {
+        const out = this.out;
+        const directoryOffset = out.length;
+        this.entries.forEach(entry => {
+            out.writeUint32(0x02014b50); // Central directory header
+            out.writeUint16(20);         // Version made by
+            out.writeUint16(20);         // Version needed
+            out.writeUint16(0);
+            out.writeUint16(0);
+            out.writeUint16(entry.time);
+            out.writeUint16(entry.day);
+            out.writeUint32(entry.crc);
+            out.writeUint32(entry.size);
+            out.writeUint32(entry.size);
+            out.writeUint16(entry.name.length);
+            out.writeUint16(0);          // Extra field length
+            out.writeUint16(0);          // Comment length
+            out.writeUint16(0);          // Disk number
+            out.writeUint16(0);          // Internal attributes
+            out.writeUint32(0);          // External attributes
+            out.writeUint32(entry.offset);
+            out.writeString(entry.name);
+        });
+        const directorySize = out.length - directoryOffset;
+
+        out.writeUint32(0x06054b50); // End of central directory
+        out.writeUint16(0);
+        out.writeUint16(0);
+        out.writeUint16(this.entries.length);
+        out.writeUint16(this.entries.length);
+        out.writeUint32(directorySize);
+        out.writeUint32(directoryOffset);
+        out.writeUint16(0);          // Comment length
+        return out.toUint8Array();
+    }
+}
+
+// ==========================================
+// Exports
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GifEncoder, ZipWriter, crc32 };
+}
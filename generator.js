@@ -0,0 +1,1054 @@
+/*
+  MIT License
+  Copyright (c) 2026 buchio
+  See LICENSE file for details.
+*/
+
+/**
+ * Modulo Krinkle Tiling - Generator
+ * DOM-free geometry and coloring. Usable in the browser (classic script, works from file://)
+ * and in Node.js:
+ *
+ *   const { KrinkleGenerator, computeN } = require('./generator.js');
+ *   const gen = new KrinkleGenerator({ verbose: false });
+ *   const polygons = gen.generateTiling(3, 7, computeN(3, 7, 2, false), 5, false);
+ */
+// ==========================================
+// Configuration
+// ==========================================
+const TILING_CONFIG = {
+    colorCount: 3, // Global number of colors
+    wedges: [{
+        params: {
+            c: 3,
+            m: 3,
+            k: 7,
+            n: 14
+        },
+        0: { reverse: false, startColor: 0 },
+        1: { reverse: true, startColor: 1 },
+        2: { reverse: false, startColor: 2 },
+        3: { reverse: true, startColor: 1 },
+        4: { reverse: false, startColor: 0 },
+        5: { reverse: true, startColor: 2 },
+        6: { reverse: false, startColor: 0 },
+        7: { reverse: true, startColor: 2 },
+        8: { reverse: false, startColor: 1 },
+        9: { reverse: true, startColor: 0 },
+        10: { reverse: false, startColor: 1 },
+        11: { reverse: true, startColor: 2 },
+        12: { reverse: false, startColor: 0 },
+        13: { reverse: true, startColor: 2 },
+        // Per-wedge configuration (index: { reverse: boolean, startColor: number })
+        // Defaults: reverse = false, startColor = wedgeIndex % colorCount
+        // Example:
+        // 1: { reverse: true, startColor: 0 }
+    }]
+};
+
+// ==========================================
+// Parameter Helpers
+// ==========================================
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Calculates the symmetry parameter n.
+ * @param {number} m - Step size
+ * @param {number} k - Modulus
+ * @param {number} t - Period coefficient
+ * @param {boolean} isOffset - Whether Offset Mode is enabled
+ * @returns {number} - n = k * t, or n = 2(tk - m) in Offset Mode
+ */
+function computeN(m, k, t, isOffset) {
+    if (!isOffset) {
+        return k * t;
+    }
+    // Offset Logic (Python Compatible): n = 2 * (t * k - m)
+    return 2 * (t * k - m);
+}
+
+// ==========================================
+// Exact Coordinates
+// A point is an integer vector a[0..n-1] over the n-th roots of unity:
+// sum of a[d] * getVector(d), i.e. the number of steps taken in each direction.
+// Floats are only derived from it (toPoint); comparisons use the canonical form.
+// ==========================================
+const CYCLOTOMIC_CACHE = new Map();
+
+/**
+ * Integer coefficients (lowest degree first) of the n-th cyclotomic polynomial Φ_n,
+ * from x^n - 1 = Π_{d | n} Φ_d(x).
+ * @param {number} n
+ * @returns {Array} - Monic, length φ(n) + 1
+ */
+function cyclotomicPolynomial(n) {
+    if (CYCLOTOMIC_CACHE.has(n)) return CYCLOTOMIC_CACHE.get(n);
+
+    let poly = new Array(n + 1).fill(0);
+    poly[0] = -1;
+    poly[n] = 1;
+    for (let d = 1; d < n; d++) {
+        if (n % d !== 0) continue;
+        // Exact long division by the monic Φ_d
+        const divisor = cyclotomicPolynomial(d);
+        const degree = divisor.length - 1;
+        const quotient = new Array(poly.length - degree).fill(0);
+        for (let i = poly.length - 1; i >= degree; i--) {
+            const coef = poly[i];
+            if (coef === 0) continue;
+            quotient[i - degree] = coef;
+            for (let j = 0; j <= degree; j++) {
+                poly[i - degree + j] -= coef * divisor[j];
+            }
+        }
+        poly = quotient;
+    }
+
+    CYCLOTOMIC_CACHE.set(n, poly);
+    return poly;
+}
+
+class CyclotomicField {
+    /**
+     * @param {number} n - Number of directions (n-th roots of unity)
+     * @param {number} unit - Edge length used by toPoint()
+     */
+    constructor(n, unit = 100) {
+        this.n = n;
+        this.unit = unit;
+        this.modulus = cyclotomicPolynomial(n);
+        this.degree = this.modulus.length - 1; // φ(n): length of the canonical form
+
+        this.cos = [];
+        this.sin = [];
+        for (let d = 0; d < n; d++) {
+            const angle = (d * 2 * Math.PI) / n;
+            this.cos.push(Math.cos(angle) * unit);
+            this.sin.push(Math.sin(angle) * unit);
+        }
+    }
+
+    zero() {
+        return new Array(this.n).fill(0);
+    }
+
+    /**
+     * Unit step in direction d (same as getVector(d) in the generator).
+     */
+    direction(d) {
+        const v = this.zero();
+        v[((d % this.n) + this.n) % this.n] = 1;
+        return v;
+    }
+
+    add(a, b) {
+        return a.map((value, d) => value + b[d]);
+    }
+
+    sub(a, b) {
+        return a.map((value, d) => value - b[d]);
+    }
+
+    scale(a, factor) {
+        return a.map(value => value * factor);
+    }
+
+    /**
+     * Rotation by steps * 2π/n (multiplication by ζ^steps).
+     */
+    rotate(a, steps) {
+        const n = this.n;
+        const shift = ((steps % n) + n) % n;
+        const result = new Array(n);
+        for (let d = 0; d < n; d++) result[(d + shift) % n] = a[d];
+        return result;
+    }
+
+    /**
+     * Canonical form: remainder modulo Φ_n. Equal points have equal canonical forms.
+     * The reduction is linear, so canonical forms can be added.
+     * @returns {Array} - Length φ(n)
+     */
+    reduce(a) {
+        const v = a.slice();
+        const degree = this.degree;
+        for (let i = v.length - 1; i >= degree; i--) {
+            const coef = v[i];
+            if (coef === 0) continue;
+            for (let j = 0; j <= degree; j++) {
+                v[i - degree + j] -= coef * this.modulus[j];
+            }
+        }
+        return v.slice(0, degree);
+    }
+
+    /**
+     * String key of a point, identical for exactly equal points.
+     */
+    key(a) {
+        return this.reduce(a).join(',');
+    }
+
+    isZero(a) {
+        return this.reduce(a).every(value => value === 0);
+    }
+
+    /**
+     * Converts to floating-point world coordinates.
+     */
+    toPoint(a) {
+        let x = 0, y = 0;
+        for (let d = 0; d < this.n; d++) {
+            if (a[d] === 0) continue;
+            x += a[d] * this.cos[d];
+            y += a[d] * this.sin[d];
+        }
+        return { x, y };
+    }
+}
+
+/**
+ * Validates a coloring configuration ({ colorCount, wedges }) such as an imported JSON file.
+ * Every wedges entry needs params.c/m/k/n and per-wedge { reverse, startColor } objects.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - { colorCount, wedges } (copied)
+ * @throws {Error} - Describing the first problems found
+ */
+function validateColoringConfig(data) {
+    const errors = [];
+    const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("Invalid coloring configuration: expected an object");
+    }
+    if (!isPositiveInt(data.colorCount)) {
+        errors.push("colorCount must be a positive integer");
+    }
+    if (!Array.isArray(data.wedges)) {
+        errors.push("wedges must be an array");
+    } else {
+        data.wedges.forEach((entry, i) => {
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`wedges[${i}] must be an object`);
+                return;
+            }
+            const params = entry.params;
+            if (!params || !['c', 'm', 'k', 'n'].every(key => isPositiveInt(params[key]))) {
+                errors.push(`wedges[${i}].params must have positive integers c, m, k, n`);
+                return;
+            }
+            Object.keys(entry).forEach(key => {
+                if (key === 'params') return;
+                const wedge = entry[key];
+                if (!/^\d+$/.test(key)) {
+                    errors.push(`wedges[${i}]: unexpected key "${key}"`);
+                } else if (!wedge || typeof wedge.reverse !== 'boolean' ||
+                    !Number.isInteger(wedge.startColor) || wedge.startColor < 0 || wedge.startColor >= params.c) {
+                    errors.push(`wedges[${i}][${key}] must be { reverse: boolean, startColor: 0..${params.c - 1} }`);
+                }
+            });
+        });
+    }
+
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new Error("Invalid coloring configuration: " + errors.slice(0, 3).join('; ') + more);
+    }
+    return JSON.parse(JSON.stringify({ colorCount: data.colorCount, wedges: data.wedges }));
+}
+
+// ==========================================
+// Krinkle Generator Class
+// ==========================================
+class KrinkleGenerator {
+    /**
+     * @param {Object} options - { verbose: log generation steps to the console (default true) }
+     */
+    constructor(options = {}) {
+        this.verbose = options.verbose !== false;
+        this.polygons = [];
+        this.palette = [];
+        this.paletteType = 'color'; // Default type
+        this.customPalette = [];    // CSS colors used when paletteType is 'custom'
+        this.currentParams = { m: 0, k: 0, n: 0 };
+        this.field = null;          // CyclotomicField of the last generated n
+        this.prototileExact = [];   // Exact prototile vertices (relative to its origin)
+        this.placementCache = [];   // Per rotation: { points, reduced } of the rotated prototile
+        this.sequences = null;      // Boundary direction sequences of the prototile: { l_seq, u_seq }
+        this.coverage = null;       // Radius mode of the last generateTiling: { center, radius, rows }
+        this.construction = null;   // Sector construction of the last generateTiling: { order, center, sectorWedges }
+        this.constructionSteps = []; // Wedge placement record of the last generateTiling (for playback)
+        this.onProgress = null;     // Called with (wedgesDone, wedgeCount) during generateTiling
+    }
+
+    log(...args) {
+        if (this.verbose) console.log(...args);
+    }
+
+    /**
+     * Generates a color palette based on global config.
+     * Types: 'color' (rainbow), 'gray', or 'custom' (colors from setCustomPalette).
+     */
+    generatePalette(count, type) {
+        // Fallback to stored state if args missing
+        if (typeof count === 'undefined') {
+            count = TILING_CONFIG.colorCount;
+        }
+        if (typeof type === 'undefined') {
+            type = this.paletteType;
+        }
+
+        // Update stored state
+        this.paletteType = type;
+        this.palette = [];
+        for (let i = 0; i < count; i++) {
+            if (type === 'custom' && this.customPalette.length > 0) {
+                // User-defined colors (repeat if fewer than count)
+                this.palette.push(this.customPalette[i % this.customPalette.length]);
+            } else if (type === 'gray') {
+                // Distribute lightness from 25% to 80% to ensure visibility against dark background
+                const minL = 25;
+                const maxL = 80;
+                const range = maxL - minL;
+                const step = count > 1 ? range / (count - 1) : 0;
+                const l = minL + (step * i);
+                this.palette.push(`hsla(0, 0%, ${Math.floor(l)}%, 0.6)`);
+            } else {
+                // Color mode (Rainbow)
+                const hue = Math.floor((360 / count) * i);
+                this.palette.push(`hsla(${hue}, 70%, 60%, 0.6)`);
+            }
+        }
+    }
+
+    /**
+     * Uses a user-defined list of colors as the palette.
+     * Also sets the global color count to the number of colors.
+     * @param {Array} colors - CSS color strings
+     */
+    setCustomPalette(colors) {
+        this.customPalette = colors.slice();
+        TILING_CONFIG.colorCount = this.customPalette.length;
+        this.generatePalette(this.customPalette.length, 'custom');
+    }
+
+    /**
+     * Finds the TILING_CONFIG.wedges entry for the current parameters (c, m, k, n).
+     * @param {boolean} create - Add an empty entry if none matches
+     * @returns {Object|null}
+     */
+    findWedgeConfig(create = false) {
+        const config = TILING_CONFIG;
+        const { m, k, n } = this.currentParams;
+
+        // config.wedges is now an array of config objects
+        for (const item of config.wedges) {
+            if (item.params &&
+                item.params.c == config.colorCount &&
+                item.params.m == m &&
+                item.params.k == k &&
+                item.params.n == n
+            ) {
+                // Found matching configuration for current parameters
+                return item;
+            }
+        }
+
+        if (!create) return null;
+        const item = { params: { c: config.colorCount, m, k, n } };
+        config.wedges.push(item);
+        return item;
+    }
+
+    /**
+     * Returns the effective coloring settings of a wedge (configured values or defaults).
+     * Rotation copies without settings of their own take those of their source wedge.
+     * @param {number} wedgeIndex - Index of the wedge
+     * @param {number} sourceWedge - Wedge the copy was rotated from (default: wedgeIndex)
+     * @returns {Object} - { reverse: boolean, startColor: number }
+     */
+    getWedgeColorSettings(wedgeIndex, sourceWedge = wedgeIndex) {
+        const count = TILING_CONFIG.colorCount;
+        const entry = this.findWedgeConfig();
+        const settingsWedge = (entry && entry[wedgeIndex]) ? wedgeIndex : sourceWedge;
+        const wedgeConfig = (entry && entry[settingsWedge]) || {};
+
+        const reverse = (typeof wedgeConfig.reverse !== 'undefined')
+            ? wedgeConfig.reverse
+            : (settingsWedge % 2 !== 0);
+        const startColor = (typeof wedgeConfig.startColor !== 'undefined')
+            ? wedgeConfig.startColor
+            : (settingsWedge % count);
+
+        return { reverse, startColor };
+    }
+
+    /**
+     * Stores coloring settings of a wedge for the current parameters,
+     * creating the TILING_CONFIG.wedges entry if needed.
+     * @param {number} wedgeIndex - Index of the wedge
+     * @param {Object} settings - { reverse: boolean, startColor: number }
+     */
+    setWedgeColorSettings(wedgeIndex, settings) {
+        const entry = this.findWedgeConfig(true);
+        entry[wedgeIndex] = { reverse: !!settings.reverse, startColor: settings.startColor };
+    }
+
+    /**
+     * Recolors the current polygons from per-tile palette indices (e.g. ColoringSolver in analysis.js),
+     * replacing the row/column pattern of getColorIndex. The palette is regenerated
+     * with as many colors as the indices use, keeping the current palette type.
+     * @param {Array} indices - indices[i] is the color index of this.polygons[i]
+     * @returns {Array} - The recolored polygons
+     */
+    applyColorIndices(indices) {
+        const count = indices.reduce((max, index) => Math.max(max, index), 0) + 1;
+        this.generatePalette(count, this.paletteType);
+        this.polygons.forEach((poly, i) => {
+            poly.color = this.palette[indices[i]];
+            poly.meta = { ...poly.meta, colorIndex: indices[i] };
+        });
+        return this.polygons;
+    }
+
+    /**
+     * Takes over a result generated by another instance (e.g. in worker.js), so that
+     * exactPath, sequences, constructionSteps and applyColorIndices refer to it.
+     * The prototile is regenerated locally (cheap) to restore the exact field state.
+     * @param {Object} params - { m, k, n }
+     * @param {Object} result - { polygons, palette, constructionSteps, coverage, construction }
+     */
+    adoptResult(params, result) {
+        const { m, k, n } = params;
+        this.generatePrototile(m, k, n);
+        this.currentParams = { m, k, n };
+        this.polygons = result.polygons;
+        this.palette = result.palette;
+        this.constructionSteps = result.constructionSteps;
+        this.coverage = result.coverage || null;
+        this.construction = result.construction || null;
+    }
+
+    /**
+     * Exact vertices of a generated polygon (integer vectors, see CyclotomicField).
+     * @param {Object} poly - Polygon with exact: { offset, rotation }
+     * @returns {Array}
+     */
+    exactPath(poly) {
+        const field = this.field;
+        return this.prototileExact.map(v => field.add(poly.exact.offset, field.rotate(v, poly.exact.rotation)));
+    }
+
+    /**
+     * Places a copy of the prototile: rotated by rotation * 2π/n, then translated by offset.
+     * @param {Array} offset - Exact translation
+     * @param {number} rotation - Rotation steps
+     * @returns {Object} - { path (floats), keys (exact vertex keys), exact: { offset, rotation } }
+     */
+    placeTile(offset, rotation) {
+        const field = this.field;
+        rotation = ((rotation % field.n) + field.n) % field.n;
+
+        let cached = this.placementCache[rotation];
+        if (!cached) {
+            const rotated = this.prototileExact.map(v => field.rotate(v, rotation));
+            cached = {
+                points: rotated.map(v => field.toPoint(v)),
+                reduced: rotated.map(v => field.reduce(v))
+            };
+            this.placementCache[rotation] = cached;
+        }
+
+        const origin = field.toPoint(offset);
+        const reducedOffset = field.reduce(offset);
+        return {
+            path: cached.points.map(p => ({ x: p.x + origin.x, y: p.y + origin.y })),
+            keys: cached.reduced.map(v => v.map((value, i) => value + reducedOffset[i]).join(',')),
+            exact: { offset: offset, rotation: rotation }
+        };
+    }
+
+    /**
+     * Center of rotational symmetry of a full tiling: the origin, or in Offset Mode the pivot
+     * of the 180-degree copy (midpoint of the first edge). Requires the field of generatePrototile.
+     * @param {boolean} isOffset
+     * @returns {Object} - { x, y }
+     */
+    symmetryCenter(isOffset) {
+        if (!isOffset) return { x: 0, y: 0 };
+        const v0 = this.field.toPoint(this.field.direction(0));
+        return { x: v0.x / 2, y: v0.y / 2 };
+    }
+
+    /**
+     * Largest distance of a prototile vertex from the tile origin (path units).
+     * @returns {number}
+     */
+    prototileRadius() {
+        return this.prototileExact.reduce((max, v) => {
+            const p = this.field.toPoint(v);
+            return Math.max(max, Math.hypot(p.x, p.y));
+        }, 0);
+    }
+
+    /**
+     * Whether a polygon overlaps a disk (an edge comes within the radius, or it contains the center).
+     * @param {Array} path - [{ x, y }, ...]
+     * @param {Object} disk - { center: { x, y }, radius }
+     * @returns {boolean}
+     */
+    static intersectsDisk(path, disk) {
+        const { x, y } = disk.center;
+        let inside = false;
+        for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+            const a = path[j];
+            const b = path[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+            if (Math.hypot(a.x + t * dx - x, a.y + t * dy - y) <= disk.radius) return true;
+
+            if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * dx / dy) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Calculates the color index for a tile.
+     * @param {number} r - Row index (depth)
+     * @param {number} c - Column index
+     * @param {number} wedgeIndex - Index of the wedge
+     * @param {number} sourceWedge - Source wedge of a rotation copy (default: wedgeIndex)
+     * @returns {number} - Index in the palette
+     */
+    getColorIndex(r, c, wedgeIndex, sourceWedge = wedgeIndex) {
+        const count = TILING_CONFIG.colorCount;
+        const { m, k, n } = this.currentParams;
+        if (!m || !k || !n) return (wedgeIndex % count); // Fallback if params not set
+
+        const { reverse, startColor } = this.getWedgeColorSettings(wedgeIndex, sourceWedge);
+
+        let baseIndex;
+        if (reverse) {
+            baseIndex = (count - ((r + c) % count)) % count;
+        } else {
+            baseIndex = (r + c) % count;
+        }
+
+        return (baseIndex + startColor) % count;
+    }
+
+    /**
+     * Generates a Prototile (Wedge 0).
+     * Defines the basic tile shape from the paper.
+     * @param {number} m - Parameter m (Step size)
+     * @param {number} k - Parameter k (Modulus)
+     * @param {number} n - Parameter n (Symmetry - Rotations)
+     */
+    generatePrototile(m, k, n) {
+        this.log(`Generating Prototile with m = ${m}, k = ${k}, n = ${n} `);
+        let hasShortPeriod = false;
+        this.polygons = [];
+
+        if (n < k) {
+            console.error("Parameter Error: n must be >= k");
+        }
+
+        if (n < k) {
+            console.error("Parameter Error: n must be >= k");
+        }
+
+        // 1. Generate sequences (logic based on paper)
+        // l_seq (Lower Boundary): [(j * m) % k for j in range(k)] + [k]
+        const l_seq = [];
+        for (let j = 0; j < k; j++) {
+            if (j > 0 && ((j * m) % k) == 0) {
+                // Detect short period (returns to zero before closing loop)
+                hasShortPeriod = true;
+                break;
+            }
+            l_seq.push((j * m) % k);
+        }
+        l_seq.push(k);
+
+        // u_seq (Upper Boundary): [k] + [(j * m) % k for j in range(1, k)] + [0]
+        const u_seq = [k];
+        for (let j = 1; j < k; j++) {
+            if (((j * m) % k) == 0) {
+                hasShortPeriod = true;
+                break;
+            }
+            u_seq.push((j * m) % k);
+        }
+        u_seq.push(0);
+
+        // 2. Build Path (exact: step counts per direction, see CyclotomicField)
+        const field = new CyclotomicField(n);
+        let current = field.zero();
+        const exactPath = [current];
+
+        // Forward along Lower Boundary (l_seq)
+        for (let d of l_seq) {
+            current = field.add(current, field.direction(d));
+            exactPath.push(current);
+        }
+
+        // Backward along Upper Boundary (u_seq)
+        // Reverse u_seq to draw path from current point (tip) back to origin.
+        // Python version generates u_pts from origin and joins them,
+        // but here we reverse-traverse to form a closed loop.
+        const u_seq_rev = [...u_seq].reverse();
+
+        for (let d of u_seq_rev) {
+            current = field.sub(current, field.direction(d));
+            exactPath.push(current);
+        }
+
+        this.field = field;
+        this.prototileExact = exactPath;
+        this.placementCache = [];
+        this.sequences = { l_seq: l_seq.slice(), u_seq: u_seq.slice() };
+
+        // Check closure (return to start point), exactly
+        const end = field.toPoint(current);
+        const closureError = field.isZero(current) ? 0 : Math.hypot(end.x, end.y);
+        this.log(`Prototile generated.Closure Error: ${closureError.toFixed(4)} `);
+
+        const tile = this.placeTile(field.zero(), 0);
+        this.polygons.push({
+            path: tile.path,
+            keys: tile.keys,
+            exact: tile.exact,
+            color: 'rgba(88, 166, 255, 0.4)',
+            stroke: '#58a6ff',
+            meta: { closureError, hasShortPeriod, l_seq: l_seq.slice(), u_seq: u_seq.slice() }
+        });
+
+        return this.polygons;
+    }
+
+    /**
+     * Shift vectors of the wedge lattice: tile (r, c) is placed at r * d0 + c * d1.
+     * Requires the field of generatePrototile(m, k, n).
+     * @param {number} m
+     * @param {number} k
+     * @returns {Object} - { d0, d1 } (exact)
+     */
+    wedgeVectors(m, k) {
+        const field = this.field;
+
+        const l_seq = [];
+        for (let j = 0; j < k; j++) {
+            if (j > 0 && ((j * m) % k) == 0) {
+                break;
+            }
+            l_seq.push((j * m) % k);
+        }
+        l_seq.push(k);
+
+        // Calculate d0 (Vector sum of l_seq - excluding last element 'k')
+        // Python: sum(get_v((j * m) % k) for j in range(k))
+        let d0 = field.zero();
+        // l_seq は k+1 要素ある (最後は k). 0 から k-1 までイテレート.
+        for (let j = 0; j < k; j++) {
+            if (j > 0 && ((j * m) % k) == 0) {
+                break;
+            }
+            d0 = field.add(d0, field.direction(l_seq[j]));
+        }
+
+        // Calculate d1 (v_k - v_0)
+        // Shift vector in "height" direction of base tile
+        const d1 = field.sub(field.direction(k), field.direction(0));
+
+        return { d0, d1 };
+    }
+
+    /**
+     * Number of wedge rows needed so that a full tiling covers a disk.
+     * Row r of every wedge lies at least r * h - |apex - center| from the center, where h is
+     * the distance from the wedge apex to the line of row 1; apexes lie on the front, which
+     * has frontLength unit edges. Tiles extend at most the prototile radius from their offset.
+     * @param {number} m
+     * @param {number} k
+     * @param {number} n
+     * @param {number} radius - Disk radius (same units as polygon paths)
+     * @param {Object} center - Disk center { x, y }
+     * @param {number} frontLength - Number of edges of the initial front (u_seq)
+     * @returns {number} - Rows (Infinity if the wedge does not grow away from its apex)
+     */
+    rowsForRadius(m, k, n, radius, center, frontLength) {
+        const field = this.field;
+        const { d0, d1 } = this.wedgeVectors(m, k);
+        const a = field.toPoint(d0);
+        const b = field.toPoint(field.add(d0, d1));
+
+        // Distance from the apex (origin) to the segment a-b
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const t = Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / (dx * dx + dy * dy || 1)));
+        const h = Math.hypot(a.x + t * dx, a.y + t * dy);
+        if (!(h > 1e-9)) return Infinity;
+
+        const edge = Math.hypot(field.toPoint(field.direction(0)).x, field.toPoint(field.direction(0)).y);
+        const tileRadius = this.prototileRadius();
+        const apexDistance = frontLength * edge + Math.hypot(center.x, center.y);
+        return Math.floor((radius + apexDistance + tileRadius) / h) + 1;
+    }
+
+    /**
+     * Generates a Wedge (Triangular layout of Prototiles).
+     * @param {number} m 
+     * @param {number} k 
+     * @param {number} n 
+     * @param {number} rows - Number of rows (Depth)
+     */
+    generateWedge(m, k, n, rows) {
+        this.currentParams = { m, k, n };
+        this.log(`Generating Wedge with m = ${m}, k = ${k}, n = ${n}, rows = ${rows} `);
+        // First, generate Prototile (base tile) to get sequences and base path
+        const basePolygons = this.generatePrototile(m, k, n);
+        const basePoly = basePolygons[0];
+
+        // If error or empty
+        if (!basePoly || basePoly.path.length === 0) {
+            return basePolygons;
+        }
+
+        const field = this.field;
+        const { d0, d1 } = this.wedgeVectors(m, k);
+
+        // Clear list for Wedge generation
+        this.polygons = [];
+
+        // Generate Palette
+        this.generatePalette();
+
+        // Color Scheme Array (Legacy fallback if palette fails, though generatePalette ensures it exists)
+        // const colors = this.palette; 
+
+        let tileIndex = 0;
+        // Loop through specified rows to place tiles
+        // r: Depth (row), c: Column
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c <= r; c++) {
+                // Calculate shift position: r * d0 + c * d1
+                const shift = field.add(field.scale(d0, r), field.scale(d1, c));
+                const tile = this.placeTile(shift, 0);
+
+                // Coloring logic
+                const colorIdx = this.getColorIndex(r, c, 0); // Base Wedge is index 0
+
+                this.polygons.push({
+                    path: tile.path,
+                    keys: tile.keys,
+                    exact: tile.exact,
+                    color: this.palette[colorIdx],
+                    stroke: '#888',
+                    meta: {
+                        wedgeIndex: 0,
+                        tileIndex: tileIndex++,
+                        r: r,
+                        c: c
+                    }
+                });
+            }
+        }
+
+        return this.polygons;
+    }
+
+    /**
+     * Default rotation order of the construction: Offset Mode builds half the tiling and
+     * copies it by 180 degrees; otherwise all n wedges are placed with the front.
+     * @param {boolean} isOffset
+     * @returns {number}
+     */
+    defaultSymmetryOrder(isOffset) {
+        return isOffset ? 2 : 1;
+    }
+
+    /**
+     * Rotation orders a construction from a sector can use: the divisors of the rotational
+     * symmetry of the tiling, t = n / k about the origin. A larger order copies the sector onto
+     * wedges that the front places differently, so the copies overlap. Offset Mode needs its
+     * 180-degree copy about the pivot (the front walk alone does not close), so only order 2.
+     * @param {number} k
+     * @param {number} n
+     * @param {boolean} isOffset
+     * @returns {Array} - Ascending orders
+     */
+    symmetryOrders(k, n, isOffset) {
+        if (isOffset) return [2];
+        const t = n / k;
+        const orders = [];
+        for (let d = 1; d <= t; d++) {
+            if (t % d === 0) orders.push(d);
+        }
+        return orders;
+    }
+
+    /**
+     * Wedge placements of a full tiling (Front Checking Algorithm), without placing tiles.
+     * The fundamental sector of n / order wedges is built with the front: wedge i (rotated by
+     * i * 2π/n) is attached where the front has direction i, then the front takes the direction
+     * of the wedge's upper boundary. The sector is then copied by rotations of j * 2π/order
+     * (j = 1 .. order - 1) about the symmetry center; wedge indices stay sequential, so
+     * wedge w is always rotated by w * 2π/n.
+     * Requires the field of generatePrototile(m, k, n).
+     * @param {number} m
+     * @param {number} k
+     * @param {number} n
+     * @param {boolean} isOffset - Whether Offset Mode is enabled
+     * @param {number} order - Rotation order of the construction (default: defaultSymmetryOrder)
+     * @returns {Array} - [{ wedgeIndex, sourceWedge: sector wedge it was copied from (itself if not a copy),
+     *                    offset: exact apex (null if not placed), rotation, jStar (null for wedge 0 and copies,
+     *                    -1 if not found), front: directions before the placement (null for copies), isCopy }]
+     * @throws {Error} - If order is not one of symmetryOrders (the tiles would overlap)
+     */
+    computeWedgePlacements(m, k, n, isOffset, order = this.defaultSymmetryOrder(isOffset)) {
+        const field = this.field;
+        const orders = this.symmetryOrders(k, n, isOffset);
+        if (!orders.includes(order)) {
+            throw new Error(`Rotation order ${order} does not fit the symmetry of the tiling ` +
+                `(possible: ${orders.join(', ')})`);
+        }
+
+        // Wedges of the fundamental sector:
+        // - No Offset (order 1): w_limit = n (Fill entire circle with Wedges)
+        // - Offset (order 2): w_limit = n / 2 (Fill half, then copy by rotation)
+        const w_limit = n / order;
+
+        // Generate u_seq (Upper Boundary)
+        const u_seq = [k];
+        for (let j = 1; j < k; j++) {
+            if (((j * m) % k) == 0) {
+                break;
+            }
+            u_seq.push((j * m) % k);
+        }
+        u_seq.push(0);
+
+        // Initialize Front (Boundary)
+        // Python: front_directions = list(u_seq[:-1])
+        // Front represents the connecting surface (list of direction vectors) for placing next Wedge
+        const front_directions = u_seq.slice(0, u_seq.length - 1);
+
+        // Wedge 0 (Origin, No rotation); its upper boundary is the initial front
+        const placements = [{
+            wedgeIndex: 0, sourceWedge: 0, offset: field.zero(), rotation: 0,
+            jStar: null, front: front_directions.slice(), isCopy: false
+        }];
+
+        // Loop from 1 to w_limit-1 to place remaining Wedges
+        this.log(`Starting loop for ${w_limit} wedges.Front: `, front_directions);
+        for (let i = 1; i < w_limit; i++) {
+            // Find j_star: where front_directions[j] == i
+            // i.e., find where in current front matches the direction of next Wedge
+            let j_star = -1;
+            for (let idx = 0; idx < front_directions.length; idx++) {
+                if (front_directions[idx] == i) {
+                    j_star = idx;
+                    break;
+                }
+            }
+
+            this.log(`Wedge ${i}: Found j_star = ${j_star} in front` + JSON.stringify(front_directions));
+
+            if (j_star === -1) {
+                console.warn(`Warning: direction ${i} not found in front for wedge ${i}`);
+                placements.push({
+                    wedgeIndex: i, sourceWedge: i, offset: null, rotation: i,
+                    jStar: -1, front: front_directions.slice(), isCopy: false
+                });
+                continue;
+            }
+
+            // Calculate start position (start_pos)
+            // Sum of vectors up to j_star
+            let start = field.zero();
+            for (let idx = 0; idx < j_star; idx++) {
+                start = field.add(start, field.direction(front_directions[idx]));
+            }
+            placements.push({
+                wedgeIndex: i, sourceWedge: i, offset: start, rotation: i,
+                jStar: j_star, front: front_directions.slice(), isCopy: false
+            });
+
+            // Update Front
+            // Boundary is updated by placed Wedge
+            front_directions[j_star] = i + k;
+            this.log(`Updated front at ${j_star} to ${i + k}: `, front_directions);
+        }
+
+        // Rotation copies of the sector: copy j of wedge i is wedge i + j * w_limit.
+        // About the origin, x' = ζ^s * x. Offset Mode rotates about the pivot (midpoint of the
+        // first edge of Wedge 0): x' = 2 * pivot - x = v0 + ζ^(n/2) * x, as -1 = ζ^(n/2).
+        const sector = placements.filter(p => p.offset);
+        for (let j = 1; j < order; j++) {
+            const steps = j * w_limit;
+            sector.forEach(p => {
+                const rotated = field.rotate(p.offset, steps);
+                placements.push({
+                    wedgeIndex: p.wedgeIndex + steps, sourceWedge: p.wedgeIndex,
+                    offset: isOffset ? field.add(field.direction(0), rotated) : rotated,
+                    rotation: p.rotation + steps,
+                    jStar: null, front: null, isCopy: true
+                });
+            });
+        }
+        return placements;
+    }
+
+    /**
+     * Places the tiles of rows [rowFrom, rowTo) of one wedge: tile (r, c) of the wedge
+     * lattice, rotated and translated by the placement.
+     * @param {Object} placement - From computeWedgePlacements (with an offset)
+     * @param {number} rowFrom - First row
+     * @param {number} rowTo - End row (exclusive)
+     * @param {Object} disk - Optional { center, radius, reach }: omit tiles not overlapping the disk
+     * @returns {Array} - Polygons in row, column order
+     */
+    placeWedgeRows(placement, rowFrom, rowTo, disk = null) {
+        const field = this.field;
+        const { m, k } = this.currentParams;
+        const { d0, d1 } = this.wedgeVectors(m, k);
+
+        // Ensure palette is ready (should be done at start of generation)
+        if (this.palette.length !== TILING_CONFIG.colorCount) {
+            this.generatePalette();
+        }
+
+        const polygons = [];
+        for (let r = rowFrom; r < rowTo; r++) {
+            for (let c = 0; c <= r; c++) {
+                // Rotate then translate (exact): offset + ζ^rotation * (r * d0 + c * d1)
+                const shift = field.add(field.scale(d0, r), field.scale(d1, c));
+                const tileOffset = field.add(placement.offset, field.rotate(shift, placement.rotation));
+                if (disk) {
+                    const origin = field.toPoint(tileOffset);
+                    if (Math.hypot(origin.x - disk.center.x, origin.y - disk.center.y) > disk.reach) continue;
+                }
+                const tile = this.placeTile(tileOffset, placement.rotation);
+                if (disk && !KrinkleGenerator.intersectsDisk(tile.path, disk)) continue;
+
+                const meta = { wedgeIndex: placement.wedgeIndex, tileIndex: r * (r + 1) / 2 + c, r: r, c: c };
+                if (placement.isCopy) {
+                    meta.isCopy = true;
+                    meta.sourceWedge = placement.sourceWedge;
+                }
+                polygons.push({
+                    path: tile.path,
+                    keys: tile.keys,
+                    exact: tile.exact,
+                    color: this.palette[this.getColorIndex(r, c, placement.wedgeIndex, placement.sourceWedge)],
+                    stroke: '#888',
+                    meta: meta
+                });
+            }
+        }
+        return polygons;
+    }
+
+    /**
+     * Generates Full Tiling (Front Checking Algorithm).
+     * @param {number} m 
+     * @param {number} k 
+     * @param {number} n 
+     * @param {number} rows - Defined as Wedge size, sometimes reused as 'w_limit'
+     * @param {boolean} isOffset - Whether Offset Mode is enabled
+     * @param {Object} options - { radius: cover the disk of this radius (path units) about the
+     *                             symmetry center instead of using rows; tiles entirely outside
+     *                             the disk are omitted,
+     *                             symmetry: rotation order of the construction (fundamental sector of
+     *                             n / symmetry wedges plus rotation copies; one of symmetryOrders;
+     *                             default 2 in Offset Mode, else 1) }
+     */
+    generateTiling(m, k, n, rows, isOffset, options = {}) {
+        // Store current params for color lookup
+        this.currentParams = { m, k, n };
+        this.coverage = null;
+        this.construction = null;
+
+        const order = options.symmetry || this.defaultSymmetryOrder(isOffset);
+        const w_limit = n / order;
+        this.log(`Generating Tiling with m = ${m}, k = ${k}, n = ${n}, isOffset = ${isOffset}, order = ${order}, w_limit = ${w_limit} `);
+
+        // 1. Prototile (exact field and sequences), palette and wedge placements
+        this.generatePrototile(m, k, n);
+        this.generatePalette();
+        const placements = this.computeWedgePlacements(m, k, n, isOffset, order);
+        this.construction = { order: order, center: this.symmetryCenter(isOffset), sectorWedges: w_limit };
+
+        // Radius mode: the disk is centered on the symmetry center of the tiling
+        // (the origin, or the pivot of the 180-degree copy in Offset Mode)
+        let disk = null;
+        if (options.radius > 0) {
+            const center = this.symmetryCenter(isOffset);
+            rows = this.rowsForRadius(m, k, n, options.radius, center, placements[0].front.length);
+            if (!isFinite(rows)) throw new Error("Wedges do not grow away from their apex; radius mode is unavailable");
+            // reach: tiles whose origin is farther than this cannot overlap the disk
+            disk = { center: center, radius: options.radius, reach: options.radius + this.prototileRadius() };
+            this.coverage = { center: center, radius: options.radius, rows: rows };
+            this.log(`Radius ${options.radius}: ${rows} rows`);
+        }
+
+        // 結果配列の初期化
+        this.polygons = []; // Filled with all Wedges
+
+        // Construction record: one step per wedge with the front it was attached to
+        // step: { type: 'wedge', wedgeIndex, front (directions), frontPoints, jStar, polygonCount }
+        //    or { type: 'copy', rotation: steps of 2π/n, polygonCount } per rotation copy of the sector
+        const field = this.field;
+        this.constructionSteps = [];
+        const recordStep = (placement) => {
+            const frontPoints = [{ x: 0, y: 0 }];
+            let position = field.zero();
+            placement.front.forEach(d => {
+                position = field.add(position, field.direction(d));
+                frontPoints.push(field.toPoint(position));
+            });
+            this.constructionSteps.push({
+                type: 'wedge',
+                wedgeIndex: placement.wedgeIndex,
+                front: placement.front.slice(),
+                frontPoints: frontPoints,
+                jStar: placement.jStar,
+                polygonCount: this.polygons.length
+            });
+            if (this.onProgress) this.onProgress(placement.wedgeIndex + 1, w_limit);
+        };
+
+        // 2. Wedges in placement order (recorded with the front before each placement)
+        placements.filter(p => !p.isCopy).forEach(placement => {
+            if (placement.offset) {
+                this.placeWedgeRows(placement, 0, rows, disk).forEach(poly => this.polygons.push(poly));
+            }
+            recordStep(placement);
+        });
+
+        // 3. Rotation copies of the fundamental sector (Offset Mode: the 180-degree point-symmetric copy)
+        for (let j = 1; j < order; j++) {
+            const steps = j * w_limit;
+            this.log(`Applying rotation copy by ${steps} × 2π/${n}...`);
+            const initialCount = this.polygons.length;
+            placements.filter(p => p.isCopy && p.wedgeIndex - p.sourceWedge === steps).forEach(placement => {
+                this.placeWedgeRows(placement, 0, rows, disk).forEach(poly => this.polygons.push(poly));
+            });
+            this.log(`Added ${this.polygons.length - initialCount} polygons via rotation.`);
+            this.constructionSteps.push({ type: 'copy', rotation: steps, polygonCount: this.polygons.length });
+        }
+
+        return this.polygons;
+    }
+}
+
+// ==========================================
+// Exports
+// In the browser the declarations above are shared globals; in Node.js use require().
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TILING_CONFIG, KrinkleGenerator, CyclotomicField, gcd, computeN, validateColoringConfig };
+}
@@ -0,0 +1,531 @@
+/*
+  MIT License
+  Copyright (c) 2026 buchio
+  See LICENSE file for details.
+*/
+
+/**
+ * Modulo Krinkle Tiling - WebGL Tile Layer
+ * GPU backend for the Renderer: tile fills, edges, axes and hover highlights.
+ * Polygons are triangulated and uploaded once (setPolygons, appendPolygons for
+ * explored chunks); pan/zoom and hover only change uniforms. The Renderer composites
+ * the layer into its 2D canvas and draws labels and the remaining overlays on top.
+ */
+
+// ==========================================
+// Triangulation
+// ==========================================
+
+/**
+ * Ear-clipping triangulation of a simple polygon (either orientation).
+ * @param {Array} ring - [{ x, y }, ...] without the closing point
+ * @returns {Array} - Vertex indices, three per triangle
+ */
+function triangulateRing(ring) {
+    const count = ring.length;
+    if (count < 3) return [];
+
+    let area = 0;
+    for (let i = 0, j = count - 1; i < count; j = i++) {
+        area += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+    }
+    // Degenerate rings (zero area, e.g. t = 1) have nothing to fill
+    let size = 0;
+    ring.forEach(p => { size = Math.max(size, Math.abs(p.x - ring[0].x), Math.abs(p.y - ring[0].y)); });
+    if (!(Math.abs(area) > 1e-9 * size * size)) return [];
+
+    const orientation = area > 0 ? 1 : -1;
+    const eps = 1e-9 * Math.abs(area);
+
+    const cross = (a, b, c) => ((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x)) * orientation;
+    // Inside or on the boundary; other vertices at a corner (touching rings) do not block
+    const same = (p, q) => Math.abs(p.x - q.x) <= 1e-9 && Math.abs(p.y - q.y) <= 1e-9;
+    const blocks = (p, a, b, c) => !same(p, a) && !same(p, b) && !same(p, c) &&
+        cross(a, b, p) >= -eps && cross(b, c, p) >= -eps && cross(c, a, p) >= -eps;
+
+    const remaining = ring.map((p, i) => i);
+    const triangles = [];
+    while (remaining.length > 3) {
+        const size = remaining.length;
+        let clipped = -1;
+        for (let i = 0; i < size && clipped < 0; i++) {
+            const a = remaining[(i + size - 1) % size];
+            const b = remaining[i];
+            const c = remaining[(i + 1) % size];
+            if (cross(ring[a], ring[b], ring[c]) <= eps) continue; // Reflex or collinear
+
+            const blocked = remaining.some(j => j !== a && j !== b && j !== c &&
+                blocks(ring[j], ring[a], ring[b], ring[c]));
+            if (!blocked) {
+                triangles.push(a, b, c);
+                clipped = i;
+            }
+        }
+        if (clipped < 0) {
+            // Only collinear (or degenerate) corners left: drop one without a triangle
+            clipped = remaining.findIndex((b, i) => {
+                const a = remaining[(i + size - 1) % size];
+                const c = remaining[(i + 1) % size];
+                return Math.abs(cross(ring[a], ring[b], ring[c])) <= eps;
+            });
+            if (clipped < 0) break;
+        }
+        remaining.splice(clipped, 1);
+    }
+    if (remaining.length === 3) triangles.push(remaining[0], remaining[1], remaining[2]);
+    return triangles;
+}
+
+// ==========================================
+// WebGL Tile Layer Class
+// ==========================================
+const TILE_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_color;
+attribute vec3 a_meta;          // wedgeIndex, row, column (-1 if absent)
+uniform vec2 u_resolution;
+uniform vec3 u_view;            // offsetX, offsetY, scale
+uniform vec3 u_hover;           // Hovered wedge, row, column (-1 = none)
+varying vec4 v_color;
+varying vec3 v_highlight;
+void main() {
+    vec2 screen = a_position * u_view.z + u_view.xy;
+    vec2 clip = screen / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_color = a_color;
+    // Compared here: vertex shaders run in highp, wedge indices of copies exceed mediump
+    v_highlight = vec3(
+        u_hover.x >= 0.0 && abs(a_meta.x - u_hover.x) < 0.5 ? 1.0 : 0.0,
+        u_hover.y >= 0.0 && abs(a_meta.y - u_hover.y) < 0.5 ? 1.0 : 0.0,
+        u_hover.z >= 0.0 && abs(a_meta.z - u_hover.z) < 0.5 ? 1.0 : 0.0);
+}`;
+
+const TILE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform vec3 u_background;
+uniform float u_showFill;
+varying vec4 v_color;
+varying vec3 v_highlight;
+void main() {
+    // Same compositing as the Canvas 2D path: fill over background, then the hover overlays
+    vec3 color = u_background;
+    if (u_showFill > 0.5) color = mix(color, v_color.rgb, v_color.a);
+    if (v_highlight.x > 0.5) color = mix(color, vec3(20.0, 140.0, 170.0) / 255.0, 0.4);
+    if (v_highlight.y > 0.5) color = mix(color, vec3(170.0, 170.0, 10.0) / 255.0, 0.4);
+    if (v_highlight.z > 0.5) color = mix(color, vec3(20.0, 140.0, 170.0) / 255.0, 0.4);
+    gl_FragColor = vec4(color, 1.0);
+}`;
+
+const LINE_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec2 a_normal;        // Unit normal of the segment, signed per side
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+uniform vec3 u_view;
+uniform float u_lineWidth;      // Pixels
+varying vec4 v_color;
+void main() {
+    vec2 screen = a_position * u_view.z + u_view.xy + a_normal * (u_lineWidth / 2.0);
+    vec2 clip = screen / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_color = a_color;
+}`;
+
+const LINE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+void main() {
+    gl_FragColor = v_color;
+}`;
+
+/**
+ * Renders tiles to its own (offscreen) canvas with WebGL.
+ * The constructor throws if WebGL is unavailable or only software-rendered,
+ * in which case the caller keeps using Canvas 2D.
+ */
+class WebGLTileLayer {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        const attributes = { antialias: true, alpha: false, failIfMajorPerformanceCaveat: true };
+        let gl = this.canvas.getContext('webgl2', attributes);
+        this.isWebGL2 = !!gl;
+        if (!gl) gl = this.canvas.getContext('webgl', attributes);
+        if (!gl) throw new Error("WebGL is not available");
+
+        // failIfMajorPerformanceCaveat is not honored everywhere; also check the renderer name
+        const rendererName = WebGLTileLayer.rendererName(gl);
+        if (/SwiftShader|llvmpipe|softpipe|software|Basic Render/i.test(rendererName)) {
+            throw new Error(`WebGL is software-rendered (${rendererName})`);
+        }
+        if (!this.isWebGL2 && !gl.getExtension('OES_element_index_uint')) {
+            throw new Error("WebGL lacks 32-bit indices (OES_element_index_uint)");
+        }
+
+        this.gl = gl;
+        this.colorCache = new Map(); // CSS color -> [r, g, b, a]
+        this.tileProgram = this.createProgram(TILE_VERTEX_SHADER, TILE_FRAGMENT_SHADER);
+        this.lineProgram = this.createProgram(LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER);
+        // One entry per upload: { first, tiles, edges } with the index of its first polygon,
+        // tiles/edges = { buffers, count, ends } of the triangulated fills and the edge quads
+        // (ends[p]: index count up to and including polygon first + p)
+        this.chunks = [];
+        this.polygonCount = 0;
+        this.edgeKeys = new Set();       // Edges already uploaded (shared edges are drawn once)
+        this.triangulations = new Map(); // Vertex count -> indices, for prototile copies
+        this.axes = this.uploadLines([
+            { a: { x: -10000, y: 0 }, b: { x: 10000, y: 0 }, color: '#30363d' },
+            { a: { x: 0, y: -10000 }, b: { x: 0, y: 10000 }, color: '#30363d' }
+        ]);
+        this.lost = false;
+        this.onContextLost = null; // Called once the GPU context is gone
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.lost = true;
+            if (this.onContextLost) this.onContextLost();
+        });
+    }
+
+    static rendererName(gl) {
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        return (info && gl.getParameter(info.UNMASKED_RENDERER_WEBGL)) || gl.getParameter(gl.RENDERER) || '';
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error("Shader compilation failed: " + gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error("Shader linking failed: " + gl.getProgramInfoLog(program));
+        }
+
+        // Attribute and uniform locations by name
+        const locations = {};
+        const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attributeCount; i++) {
+            const name = gl.getActiveAttrib(program, i).name;
+            locations[name] = gl.getAttribLocation(program, name);
+        }
+        const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const name = gl.getActiveUniform(program, i).name;
+            locations[name] = gl.getUniformLocation(program, name);
+        }
+        return { program, locations };
+    }
+
+    /**
+     * Parses any CSS color to [r, g, b, a] (0-255) using a 2D context.
+     */
+    parseColor(css) {
+        if (this.colorCache.has(css)) return this.colorCache.get(css);
+        if (!this.colorContext) this.colorContext = document.createElement('canvas').getContext('2d');
+        const ctx = this.colorContext;
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = css;
+        const normalized = String(ctx.fillStyle);
+
+        let rgba = [0, 0, 0, 255];
+        if (normalized[0] === '#') {
+            const value = parseInt(normalized.slice(1, 7), 16);
+            rgba = [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+        } else {
+            const parts = normalized.replace(/^rgba?\(|\)$/g, '').split(',').map(v => parseFloat(v));
+            if (parts.length >= 3 && parts.every(v => isFinite(v))) {
+                const alpha = parts.length > 3 ? parts[3] : 1;
+                rgba = [parts[0], parts[1], parts[2], Math.round(alpha * 255)];
+            }
+        }
+        this.colorCache.set(css, rgba);
+        return rgba;
+    }
+
+    createBuffer(target, data) {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(target, buffer);
+        gl.bufferData(target, data, gl.STATIC_DRAW);
+        return buffer;
+    }
+
+    deleteBuffers(entry) {
+        if (!entry) return;
+        Object.values(entry.buffers).forEach(buffer => this.gl.deleteBuffer(buffer));
+    }
+
+    /**
+     * Replaces the uploaded polygons.
+     * @param {Array} polygons - [{ path, color, stroke, keys, meta }, ...]
+     */
+    setPolygons(polygons) {
+        if (this.lost) return;
+        this.chunks.forEach(chunk => {
+            this.deleteBuffers(chunk.tiles);
+            this.deleteBuffers(chunk.edges);
+        });
+        this.chunks = [];
+        this.polygonCount = 0;
+        this.edgeKeys = new Set();
+        this.triangulations = new Map();
+        this.appendPolygons(polygons);
+    }
+
+    /**
+     * Triangulates and uploads polygons (fills and edges) after the ones already uploaded,
+     * in buffers of their own. Tiles placed from the same prototile (poly.exact) share one triangulation.
+     * @param {Array} polygons - [{ path, color, stroke, keys, meta }, ...]
+     */
+    appendPolygons(polygons) {
+        if (this.lost || polygons.length === 0) return;
+
+        const rings = polygons.map(poly => {
+            const path = poly.path || [];
+            const closed = path.length > 1 &&
+                Math.hypot(path[0].x - path[path.length - 1].x, path[0].y - path[path.length - 1].y) < 1e-6;
+            return closed ? path.slice(0, -1) : path;
+        });
+
+        // Fills: one vertex per ring vertex, indexed triangles
+        let vertexCount = 0;
+        rings.forEach(ring => { vertexCount += ring.length; });
+        const positions = new Float32Array(vertexCount * 2);
+        const colors = new Uint8Array(vertexCount * 4);
+        const metas = new Float32Array(vertexCount * 3);
+        const indices = [];
+        const tileEnds = new Uint32Array(polygons.length);
+        const triangulations = this.triangulations;
+
+        let base = 0;
+        polygons.forEach((poly, p) => {
+            const ring = rings[p];
+            const meta = poly.meta || {};
+            const rgba = this.parseColor(poly.color || '#000000');
+            const attributes = [
+                typeof meta.wedgeIndex === 'number' ? meta.wedgeIndex : -1,
+                typeof meta.r === 'number' ? meta.r : -1,
+                typeof meta.c === 'number' ? meta.c : -1
+            ];
+            ring.forEach((point, i) => {
+                const v = base + i;
+                positions[v * 2] = point.x;
+                positions[v * 2 + 1] = point.y;
+                colors.set(rgba, v * 4);
+                metas.set(attributes, v * 3);
+            });
+
+            let triangles;
+            if (poly.exact) {
+                triangles = triangulations.get(ring.length);
+                if (!triangles) {
+                    triangles = triangulateRing(ring);
+                    triangulations.set(ring.length, triangles);
+                }
+            } else {
+                triangles = triangulateRing(ring);
+            }
+            triangles.forEach(i => indices.push(base + i));
+            base += ring.length;
+            tileEnds[p] = indices.length;
+        });
+
+        const gl = this.gl;
+        const tiles = {
+            buffers: {
+                position: this.createBuffer(gl.ARRAY_BUFFER, positions),
+                color: this.createBuffer(gl.ARRAY_BUFFER, colors),
+                meta: this.createBuffer(gl.ARRAY_BUFFER, metas),
+                index: this.createBuffer(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices))
+            },
+            count: indices.length,
+            ends: tileEnds
+        };
+
+        // Edges: shared edges once (by exact vertex keys when present), with the first polygon using them
+        const segments = [];
+        const edgeEnds = new Uint32Array(polygons.length);
+        const seen = this.edgeKeys;
+        polygons.forEach((poly, p) => {
+            edgeEnds[p] = segments.length * 6;
+            if (!poly.stroke) return;
+            const ring = rings[p];
+            for (let i = 0; i < ring.length; i++) {
+                const j = (i + 1) % ring.length;
+                if (poly.keys && poly.keys.length > j) {
+                    const a = poly.keys[i];
+                    const b = poly.keys[j];
+                    const key = a < b ? a + '|' + b : b + '|' + a;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                }
+                segments.push({ a: ring[i], b: ring[j], color: poly.stroke });
+            }
+            edgeEnds[p] = segments.length * 6;
+        });
+        const edges = this.uploadLines(segments);
+        edges.ends = edgeEnds;
+
+        this.chunks.push({ first: this.polygonCount, tiles, edges });
+        this.polygonCount += polygons.length;
+    }
+
+    /**
+     * Uploads segments as quads (4 vertices, 2 triangles each) widened in the vertex shader.
+     */
+    uploadLines(segments) {
+        const positions = new Float32Array(segments.length * 8);
+        const normals = new Float32Array(segments.length * 8);
+        const colors = new Uint8Array(segments.length * 16);
+        const indices = new Uint32Array(segments.length * 6);
+
+        segments.forEach((segment, s) => {
+            const { a, b } = segment;
+            const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const nx = -(b.y - a.y) / length;
+            const ny = (b.x - a.x) / length;
+            const rgba = this.parseColor(segment.color);
+            [[a, 1], [a, -1], [b, 1], [b, -1]].forEach(([point, side], i) => {
+                const v = s * 4 + i;
+                positions[v * 2] = point.x;
+                positions[v * 2 + 1] = point.y;
+                normals[v * 2] = nx * side;
+                normals[v * 2 + 1] = ny * side;
+                colors.set(rgba, v * 4);
+            });
+            indices.set([s * 4, s * 4 + 1, s * 4 + 2, s * 4 + 1, s * 4 + 3, s * 4 + 2], s * 6);
+        });
+
+        const gl = this.gl;
+        return {
+            buffers: {
+                position: this.createBuffer(gl.ARRAY_BUFFER, positions),
+                normal: this.createBuffer(gl.ARRAY_BUFFER, normals),
+                color: this.createBuffer(gl.ARRAY_BUFFER, colors),
+                index: this.createBuffer(gl.ELEMENT_ARRAY_BUFFER, indices)
+            },
+            count: indices.length
+        };
+    }
+
+    bindAttribute(location, buffer, size, type, normalized) {
+        if (location === undefined || location < 0) return;
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, type, normalized, 0, 0);
+    }
+
+    /**
+     * Number of indices drawing the first polygonCount polygons of an entry (all without ends or count).
+     */
+    elementCount(entry, polygonCount) {
+        if (!entry.ends || typeof polygonCount !== 'number' || polygonCount >= entry.ends.length) return entry.count;
+        return polygonCount > 0 ? entry.ends[polygonCount - 1] : 0;
+    }
+
+    drawLines(entry, common, lineWidth, polygonCount) {
+        if (!entry) return;
+        const count = this.elementCount(entry, polygonCount);
+        if (count === 0) return;
+        const gl = this.gl;
+        const { program, locations } = this.lineProgram;
+        gl.useProgram(program);
+        gl.uniform2f(locations.u_resolution, common.width, common.height);
+        gl.uniform3f(locations.u_view, common.view.offsetX, common.view.offsetY, common.view.scale);
+        gl.uniform1f(locations.u_lineWidth, lineWidth);
+        this.bindAttribute(locations.a_position, entry.buffers.position, 2, gl.FLOAT, false);
+        this.bindAttribute(locations.a_normal, entry.buffers.normal, 2, gl.FLOAT, false);
+        this.bindAttribute(locations.a_color, entry.buffers.color, 4, gl.UNSIGNED_BYTE, true);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, entry.buffers.index);
+        gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, 0);
+    }
+
+    /**
+     * Draws the uploaded polygons.
+     * @param {number} width - Target width in pixels
+     * @param {number} height - Target height in pixels
+     * @param {Object} view - { offsetX, offsetY, scale }
+     * @param {Object} state - { background, showFill, showLines, showAxis, lineWidth, axisWidth,
+     *                           polygonCount: draw only the first polygons (optional; default all),
+     *                           hover: { wedge, row, column } (-1 = none) }
+     */
+    render(width, height, view, state) {
+        if (this.lost) return;
+        const gl = this.gl;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        gl.viewport(0, 0, width, height);
+
+        const background = this.parseColor(state.background);
+        gl.clearColor(background[0] / 255, background[1] / 255, background[2] / 255, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        const common = { width, height, view };
+        if (state.showAxis) this.drawLines(this.axes, common, state.axisWidth);
+
+        // Chunks holding shown polygons, with the number of their polygons to draw (undefined = all)
+        const limited = typeof state.polygonCount === 'number';
+        const shown = this.chunks
+            .filter(chunk => !limited || chunk.first < state.polygonCount)
+            .map(chunk => ({ chunk, polygonCount: limited ? state.polygonCount - chunk.first : undefined }));
+
+        if (shown.length > 0) {
+            const { program, locations } = this.tileProgram;
+            gl.useProgram(program);
+            gl.uniform2f(locations.u_resolution, width, height);
+            gl.uniform3f(locations.u_view, view.offsetX, view.offsetY, view.scale);
+            gl.uniform3f(locations.u_hover, state.hover.wedge, state.hover.row, state.hover.column);
+            gl.uniform3f(locations.u_background, background[0] / 255, background[1] / 255, background[2] / 255);
+            gl.uniform1f(locations.u_showFill, state.showFill ? 1 : 0);
+            shown.forEach(({ chunk, polygonCount }) => {
+                const tileCount = this.elementCount(chunk.tiles, polygonCount);
+                if (tileCount === 0) return;
+                this.bindAttribute(locations.a_position, chunk.tiles.buffers.position, 2, gl.FLOAT, false);
+                this.bindAttribute(locations.a_color, chunk.tiles.buffers.color, 4, gl.UNSIGNED_BYTE, true);
+                this.bindAttribute(locations.a_meta, chunk.tiles.buffers.meta, 3, gl.FLOAT, false);
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, chunk.tiles.buffers.index);
+                gl.drawElements(gl.TRIANGLES, tileCount, gl.UNSIGNED_INT, 0);
+            });
+        }
+
+        if (state.showLines) {
+            shown.forEach(({ chunk, polygonCount }) => this.drawLines(chunk.edges, common, state.lineWidth, polygonCount));
+        }
+    }
+
+    dispose() {
+        if (!this.lost) {
+            this.chunks.forEach(chunk => {
+                this.deleteBuffers(chunk.tiles);
+                this.deleteBuffers(chunk.edges);
+            });
+            this.deleteBuffers(this.axes);
+            const lose = this.gl.getExtension('WEBGL_lose_context');
+            if (lose) lose.loseContext();
+        }
+        this.chunks = [];
+        this.lost = true;
+    }
+}
+
+// ==========================================
+// Exports
+// WebGLTileLayer needs a DOM canvas with WebGL; only triangulateRing can be used from Node.js.
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebGLTileLayer, triangulateRing };
+}
@@ -0,0 +1,108 @@
+/*
+  MIT License
+  Copyright (c) 2026 buchio
+  See LICENSE file for details.
+*/
+
+/**
+ * Modulo Krinkle Tiling - Generation Worker
+ * Runs generation jobs off the main thread (new Worker('worker.js')). The page also
+ * loads this file as a classic script for the main-thread fallback (e.g. file://),
+ * where it only defines runGenerationJob.
+ *
+ * Messages to the worker:   { jobId, request }
+ * Messages from the worker: { jobId, type: 'progress', done, total }
+ *                           { jobId, type: 'result', result }
+ *                           { jobId, type: 'error', message }
+ */
+
+// ==========================================
+// Generation Job
+// ==========================================
+
+/**
+ * Generates the polygons of one request, with a proper coloring if requested.
+ * @param {KrinkleGenerator} generator - Generator with the palette already set up
+ * @param {Object} request - { mode, m, k, n, rows, isOffset, radius: disk radius in Tiling mode (0 = use rows),
+ *                            symmetry: rotation order of the construction (0 = default),
+ *                            maxColors: proper coloring limit (0 = pattern coloring) }
+ * @param {Function} onProgress - Called with (wedgesDone, wedgeCount) in Tiling mode
+ * @returns {Object} - { polygons, palette, constructionSteps, coverage: radius mode { center, radius, rows } or null,
+ *                       construction: { order, center, sectorWedges } or null, coloring: ColoringSolver result or null }
+ */
+function runGenerationJob(generator, request, onProgress) {
+    const { mode, m, k, n, rows, isOffset } = request;
+
+    let polygons;
+    generator.onProgress = onProgress || null;
+    try {
+        if (mode === 'wedge') {
+            polygons = generator.generateWedge(m, k, n, rows);
+        } else if (mode === 'tiling') {
+            polygons = generator.generateTiling(m, k, n, rows, isOffset, {
+                radius: request.radius || 0,
+                symmetry: request.symmetry || 0
+            });
+        } else {
+            polygons = generator.generatePrototile(m, k, n);
+        }
+    } finally {
+        generator.onProgress = null;
+    }
+    polygons = polygons || [];
+
+    // Proper coloring replaces the row/column pattern
+    let coloring = null;
+    if (request.maxColors > 0 && mode !== 'prototile' && polygons.length > 0) {
+        // ColoringSolver is a global in the browser and in the worker; Node.js needs require()
+        const Solver = (typeof ColoringSolver !== 'undefined') ? ColoringSolver : require('./analysis.js').ColoringSolver;
+        coloring = new Solver({ maxColors: request.maxColors }).solve(polygons);
+        generator.applyColorIndices(coloring.colors);
+    }
+
+    return {
+        polygons: polygons,
+        palette: generator.palette.slice(),
+        constructionSteps: (mode === 'tiling') ? generator.constructionSteps : [],
+        coverage: (mode === 'tiling') ? generator.coverage : null,
+        construction: (mode === 'tiling') ? generator.construction : null,
+        coloring: coloring
+    };
+}
+
+// ==========================================
+// Worker Entry
+// ==========================================
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('generator.js', 'analysis.js');
+
+    const generator = new KrinkleGenerator({ verbose: false });
+
+    self.onmessage = (e) => {
+        const { jobId, request } = e.data;
+        try {
+            // Coloring state of the page: { colorCount, wedges, paletteType, customPalette }
+            const colors = request.colors;
+            TILING_CONFIG.colorCount = colors.colorCount;
+            TILING_CONFIG.wedges = colors.wedges;
+            generator.customPalette = colors.customPalette.slice();
+            generator.generatePalette(colors.colorCount, colors.paletteType);
+
+            const result = runGenerationJob(generator, request, (done, total) => {
+                self.postMessage({ jobId, type: 'progress', done, total });
+            });
+            self.postMessage({ jobId, type: 'result', result });
+        } catch (err) {
+            self.postMessage({ jobId, type: 'error', message: err.message });
+        }
+    };
+}
+
+// ==========================================
+// Exports
+// runGenerationJob receives its generator as an argument, so Node.js can require() it too;
+// the Worker Entry above only runs inside a Worker.
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runGenerationJob };
+}